@@ -0,0 +1,9 @@
+'use strict';
+
+// The library entry point for using the data operations from Node without the sfdx CLI, and the main
+// module of the package.  index.js is the entry point of the plugin itself and lists its commands.
+const path = require('path');
+
+const Data = require(path.join(__dirname, 'lib', 'data', 'dataApi.js'));
+
+module.exports = Data;
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs the plugin's commands without the sfdx CLI, for example: djc data:split -f data/plan.json
+// The commands only give their flags and help here; each one runs through the library in api.js, so
+// nothing of the sfdx CLI is loaded.
+const path = require('path');
+const _ = require('lodash');
+
+const parser = require(path.join(__dirname, '..', 'lib', 'cmdParser.js'));
+const root = require(path.join(__dirname, '..', 'index.js'));
+const Data = require(path.join(__dirname, '..', 'api.js'));
+
+const BIN = path.basename(process.argv[1], '.js');
+
+// The library method of each command whose name differs from it
+const OPERATIONS = { fromcsv: 'fromCsv', tocsv: 'toCsv' };
+
+const fail = (err, json) => {
+    if (json) {
+        console.log(JSON.stringify({ status: 1, name: err.name, message: err.message, action: err.action, result: err.problems }, null, 4));
+    }
+    else {
+        console.error(`ERROR: ${err.message}.`);
+        if (err.action) {
+            console.error(err.action);
+        }
+        if (err.problems) {
+            console.error(parser.formatResult({ problems: err.problems }));
+        }
+    }
+    process.exitCode = 1;
+};
+
+const args = process.argv.slice(2);
+let parsed;
+try {
+    parsed = parser.parseCommand(root, args, BIN);
+}
+catch (err) {
+    // The flags could not be parsed, so --json is looked for among the arguments as given
+    fail(err, args.includes('--json'));
+}
+
+if (parsed && parsed.help) {
+    console.log(parser.formatHelp(root, parsed.cmd, BIN));
+}
+else if (parsed) {
+    const json = !!parsed.flags.json;
+    const operation = OPERATIONS[parsed.cmd.command] || parsed.cmd.command;
+    new Data()[operation](_.omit(parsed.flags, ['json', 'loglevel']))
+        .then((result) => console.log(json ? JSON.stringify({ status: 0, result }, null, 4) : parser.formatResult(result)))
+        .catch((err) => fail(err, json));
+}
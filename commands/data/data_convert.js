@@ -0,0 +1,85 @@
+'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'convert',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_convert'),
+        longDescription: messages.getMessage('longDescription', [], 'data_convert'),
+        help: messages.getMessage('help', [], 'data_convert'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "queryfiles",
+                char: "q",
+                description: "Comma-separated force:data:soql:query --json output files, one per sObject",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "outputdir",
+                char: "d",
+                description: "The directory to write the tree files and the data plan to",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "planname",
+                char: "n",
+                description: "The file name of the data plan to write into the output directory, data-plan.json by default",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "force",
+                description: "Overwrite files already in the output directory",
+                hasValue: false,
+                required: false
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.convert(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue(`Data Plan Written to ${result.plan}`));
+                        }
+                        return result;
+                    }),
+                getColumnData: () => ({
+                    files: [
+                        { key: 'source', label: 'Query File' },
+                        { key: 'file', label: 'Tree File' },
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'records', label: 'Records' },
+                        { key: 'linked', label: 'Lookups Linked' },
+                        { key: 'kept', label: 'Ids Kept' }
+                    ],
+                    entries: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'saveRefs', label: 'Save Refs' },
+                        { key: 'resolveRefs', label: 'Resolve Refs' },
+                        { key: 'files', label: 'Files', format: files => files.join(', ') }
+                    ]
+                }),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: () => ''
+            }, context);
+        }
+    };
+}());
@@ -0,0 +1,69 @@
+ 'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'merge',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_merge'),
+        longDescription: messages.getMessage('longDescription', [], 'data_merge'),
+        help: messages.getMessage('help', [], 'data_merge'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "dataplan",
+                char: "f",
+                description: "The data plan whose files need to be merged",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "outputdir",
+                char: "d",
+                description: "Write the merged files and a new data plan to this directory, leaving the inputs untouched",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "force",
+                description: "Overwrite files already in the output directory",
+                hasValue: false,
+                required: false
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.merge(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue('Files Merged'));
+                        }
+                        return result;
+                    }),
+                getColumnData: () => ({
+                    files: [
+                        { key: 'file', label: 'File' },
+                        { key: 'sources', label: 'Merged From', format: files => files.join(', ') },
+                        { key: 'records', label: 'Records' }
+                    ]
+                }),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: () => ''
+            }, context);
+        }
+    };
+}());
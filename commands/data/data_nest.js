@@ -0,0 +1,85 @@
+'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'nest',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_nest'),
+        longDescription: messages.getMessage('longDescription', [], 'data_nest'),
+        help: messages.getMessage('help', [Data.RECORD_LIMIT], 'data_nest'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "dataplan",
+                char: "f",
+                description: "The data plan whose records are nested under the records their lookups point at",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "relationships",
+                char: "r",
+                description: "A JSON file giving the child sObject and lookup field of each parent's child relationships to nest, such as Contact.AccountId",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "outputdir",
+                char: "d",
+                description: "Write the nested files, copies of the other files and a new data plan to this directory, leaving the inputs untouched",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "force",
+                description: "Overwrite files that are in the way of the nested files",
+                hasValue: false,
+                required: false
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.nest(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue(`Data Plan Nested in ${result.plan}`));
+                        }
+                        return result;
+                    }),
+                getColumnData: () => ({
+                    files: [
+                        { key: 'file', label: 'File' },
+                        { key: 'source', label: 'Source' },
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'records', label: 'Records' },
+                        { key: 'moved', label: 'Records Nested' },
+                        { key: 'action', label: 'Action' }
+                    ],
+                    entries: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'saveRefs', label: 'Save Refs' },
+                        { key: 'resolveRefs', label: 'Resolve Refs' },
+                        { key: 'files', label: 'Files', format: files => files.join(', ') }
+                    ]
+                }),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: () => ''
+            }, context);
+        }
+    };
+}());
@@ -0,0 +1,77 @@
+ 'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'partition',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_partition'),
+        longDescription: messages.getMessage('longDescription', [], 'data_partition'),
+        help: messages.getMessage('help', [], 'data_partition'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "dataplan",
+                char: "f",
+                description: "The data plan whose mixed-sObject files need to be partitioned",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "outputdir",
+                char: "d",
+                description: "Write the partitioned files, copies of the other files and a new data plan to this directory, leaving the inputs untouched",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "force",
+                description: "Overwrite files that are in the way of the partitioned files",
+                hasValue: false,
+                required: false
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.partition(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json && result.partitioned.length > 0) {
+                            logger.styledHeader(logger.color.blue(`Data Plan Partitioned in ${result.plan}`));
+                        }
+                        return result;
+                    }),
+                getColumnData: () => ({
+                    partitioned: [
+                        { key: 'source', label: 'Source' },
+                        { key: 'file', label: 'File' },
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'records', label: 'Records' }
+                    ],
+                    entries: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'saveRefs', label: 'Save Refs' },
+                        { key: 'resolveRefs', label: 'Resolve Refs' },
+                        { key: 'files', label: 'Files', format: files => files.join(', ') }
+                    ]
+                }),
+                getEmptyResultMessage: (key) => (key === 'partitioned' ? messages.getMessage('dataPartitionNothingToDo', [], 'data_partition') : undefined),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: () => ''
+            }, context);
+        }
+    };
+}());
@@ -0,0 +1,70 @@
+ 'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'plan',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_plan'),
+        longDescription: messages.getMessage('longDescription', [], 'data_plan'),
+        help: messages.getMessage('help', [], 'data_plan'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "directory",
+                char: "d",
+                description: "The directory of tree files to plan",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "planname",
+                char: "n",
+                description: "The file name of the data plan to write into the directory, data-plan.json by default",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "force",
+                description: "Overwrite an existing data plan",
+                hasValue: false,
+                required: false
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.plan(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue(`Data Plan Written to ${result.plan}`));
+                        }
+                        return result;
+                    }),
+                getColumnData: () => ({
+                    entries: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'saveRefs', label: 'Save Refs' },
+                        { key: 'resolveRefs', label: 'Resolve Refs' },
+                        { key: 'files', label: 'Files', format: files => files.join(', ') }
+                    ]
+                }),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: () => ''
+            }, context);
+        }
+    };
+}());
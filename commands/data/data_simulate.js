@@ -0,0 +1,78 @@
+'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'simulate',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_simulate'),
+        longDescription: messages.getMessage('longDescription', [], 'data_simulate'),
+        help: messages.getMessage('help', [Data.RECORD_LIMIT], 'data_simulate'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "dataplan",
+                char: "f",
+                description: "The data plan to simulate the import of",
+                hasValue: true,
+                required: true
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.simulate(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue('Data Plan Imports Cleanly'));
+                        }
+                        return result;
+                    })
+                    .catch((err) => {
+                        // Show why the import would fail as a table, one row per file and record
+                        if (err.problems) {
+                            err.rows = err.problems;
+                            err.columns = [
+                                { key: 'file', label: 'File' },
+                                { key: 'record', label: 'Record' },
+                                { key: 'problem', label: 'Problem' }
+                            ];
+                        }
+                        throw err;
+                    }),
+                getColumnData: () => ({
+                    steps: [
+                        { key: 'entry', label: 'Entry' },
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'file', label: 'File' },
+                        { key: 'records', label: 'Records' },
+                        { key: 'resolved', label: 'Refs Resolved' },
+                        { key: 'saved', label: 'Refs Saved' }
+                    ],
+                    unused: [
+                        { key: 'file', label: 'Saved By' },
+                        { key: 'count', label: 'Unused Refs' },
+                        { key: 'referenceIds', label: 'ReferenceIds', format: ids => (ids.length > 5 ? `${ids.slice(0, 5).join(', ')}, ...` : ids.join(', ')) }
+                    ]
+                }),
+                // Saved refs that nothing uses are only worth a table when there are some
+                getEmptyResultMessage: (key) => (key === 'unused' ? '' : undefined),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: () => ''
+            }, context);
+        }
+    };
+}());
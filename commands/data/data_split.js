@@ -1,4 +1,4 @@
- 'use strict';
+'use strict';
 
 // Node
 const path = require('path');
@@ -6,8 +6,6 @@ const path = require('path');
 // Local
 const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
 const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
-const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js'));
-const logger = utils.logger;
 
 (function () {
     'use strict';
@@ -16,8 +14,8 @@ const logger = utils.logger;
         command: 'split',
         topic: 'data',
         description: messages.getMessage('description', [], 'data_split'),
-        longDescription: messages.getMessage('longDescription', [], 'data_split'),
-        help: messages.getMessage('help', [], 'data_split'),
+        longDescription: messages.getMessage('displayCommandDataSplitHelp', [Data.RECORD_LIMIT]),
+        help: messages.getMessage('help', [Data.RECORD_LIMIT, Data.BATCH_LIMIT], 'data_split'),
         requiresWorkspace: false,
         flags: [
             {
@@ -25,22 +23,196 @@ const logger = utils.logger;
                 char: "f",
                 description: "The data plan that needs to be broken up",
                 hasValue: true,
-                required: true
+                required: false
+            },
+            {
+                name: "sobjecttreefiles",
+                char: "t",
+                description: "Comma-separated tree files to break up without a data plan",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "plan",
+                char: "p",
+                description: "A data plan to update with the files given by --sobjecttreefiles instead of writing a new one",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "chunksize",
+                char: "s",
+                description: `The most records to put in each file, up to ${Data.RECORD_LIMIT}`,
+                hasValue: true,
+                type: "integer",
+                required: false
+            },
+            {
+                name: "maxbytes",
+                char: "b",
+                description: "Start a new file before the JSON of the current one grows past this many bytes",
+                hasValue: true,
+                type: "integer",
+                required: false
+            },
+            {
+                name: "transform",
+                char: "m",
+                description: "A JSON file of per-sObject rules that drop, rename, default or set fields of every record split",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "mask",
+                char: "k",
+                description: "A JSON file of per-sObject field masks (firstName, lastName, name, email, phone, hash, redact, keep) for sharing data without PII",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "seed",
+                description: "The secret the masked values and the --sample are derived from, so the same input gives the same output on every run",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "filter",
+                char: "w",
+                description: "A JSON file of per-sObject field conditions (equals, contains, in) a record must meet to be kept",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "sample",
+                description: "Keep only this many, or this percentage (such as 10%), of the records of each file; records using a dropped one are dropped too",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "dedupe",
+                description: "A JSON file of per-sObject key fields; records with the same key collapse into the first and refs to the others point at it",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "referenceids",
+                description: "Give every record new referenceIds that are unique across the plan: prefix (source file name in front) or sequential (numbered per sObject)",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "bulk",
+                description: "Write Bulk API CSV batches and a job manifest to --outputdir instead of tree files",
+                hasValue: false,
+                required: false
+            },
+            {
+                name: "batchsize",
+                description: `The most records to put in each Bulk API batch, up to ${Data.BATCH_LIMIT}`,
+                hasValue: true,
+                type: "integer",
+                required: false
+            },
+            {
+                name: "externalid",
+                description: "The external Id field the Bulk API batches fill with referenceIds and look up @refs by",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "outputdir",
+                char: "d",
+                description: "Write the split files and a new data plan to this directory, leaving the inputs untouched",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "force",
+                description: "Overwrite files already in the output directory",
+                hasValue: false,
+                required: false
+            },
+            {
+                name: "dryrun",
+                description: "Report the files and plan changes a split would make without writing anything",
+                hasValue: false,
+                required: false
             }
         ],
-        // TODO - put all possible attributes in here behind comments
 
         run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
             const data = new Data();
             //return utils.executeCommand(data.split, context);
 
             return utils.executeCommand({
                 execute: execContext =>
-                    data.split(execContext)
-                    .then(() => {
-                        logger.styledHeader(logger.color.blue('Files Split'));
-                        return true;
+                    data.split(execContext.flags)
+                    .then((report) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue(report.dryrun ? 'Dry Run - No Files Written' : 'Files Split'));
+                        }
+                        return report;
                     }),
+                getColumnData: () => ({
+                    entries: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'sourceFiles', label: 'Source Files', format: files => files.join(', ') },
+                        { key: 'records', label: 'Records' },
+                        { key: 'chunkFiles', label: 'Files', format: files => files.join(', ') },
+                        { key: 'changes', label: 'Plan Changes', format: changes => changes.join(', ') }
+                    ],
+                    files: [
+                        { key: 'file', label: 'File' },
+                        { key: 'source', label: 'Source' },
+                        { key: 'records', label: 'Records' },
+                        { key: 'action', label: 'Action' }
+                    ],
+                    rules: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'rule', label: 'Rule' },
+                        { key: 'field', label: 'Field' },
+                        { key: 'value', label: 'Value', format: value => (value === undefined ? '' : JSON.stringify(value)) },
+                        { key: 'count', label: 'Records Changed' }
+                    ],
+                    masked: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'field', label: 'Field' },
+                        { key: 'rule', label: 'Mask' },
+                        { key: 'count', label: 'Values Masked' }
+                    ],
+                    selected: [
+                        { key: 'source', label: 'Source' },
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'records', label: 'Records' },
+                        { key: 'filtered', label: 'Filtered Out' },
+                        { key: 'sampled', label: 'Not Sampled' },
+                        { key: 'dependents', label: 'Dependents Dropped' },
+                        { key: 'kept', label: 'Kept' }
+                    ],
+                    merged: [
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'key', label: 'Key' },
+                        { key: 'survivor', label: 'Survivor' },
+                        { key: 'survivorSource', label: 'Survivor Source' },
+                        { key: 'duplicate', label: 'Duplicate' },
+                        { key: 'source', label: 'Duplicate Source' }
+                    ],
+                    collisions: [
+                        { key: 'referenceId', label: 'ReferenceId' },
+                        { key: 'sources', label: 'Sources' }
+                    ],
+                    jobs: [
+                        { key: 'order', label: 'Order' },
+                        { key: 'object', label: 'SObject' },
+                        { key: 'concurrencyMode', label: 'Concurrency' },
+                        { key: 'records', label: 'Records' },
+                        { key: 'batches', label: 'Batches', format: batches => batches.join(', ') }
+                    ]
+                }),
+                // Without --transform, --mask, --filter, --sample, --dedupe, --referenceids or --bulk there is nothing else to report
+                getEmptyResultMessage: key => (key === 'entries' || key === 'files' ? undefined : ''),
                 getHumanErrorMessage: () => '',
                 getHumanSuccessMessage: () => ''
             }, context);
@@ -0,0 +1,84 @@
+'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'tocsv',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_tocsv'),
+        longDescription: messages.getMessage('longDescription', [], 'data_tocsv'),
+        help: messages.getMessage('help', [], 'data_tocsv'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "dataplan",
+                char: "f",
+                description: "The data plan whose files to write as CSV",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "sobjecttreefiles",
+                char: "t",
+                description: "Comma-separated tree files to write as CSV without a data plan",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "outputdir",
+                char: "d",
+                description: "The directory to write the CSV files to",
+                hasValue: true,
+                required: true
+            },
+            {
+                name: "mapping",
+                char: "m",
+                description: "A JSON file giving the column header of fields of each CSV file, as used by data:fromcsv",
+                hasValue: true,
+                required: false
+            },
+            {
+                name: "force",
+                description: "Overwrite files already in the output directory",
+                hasValue: false,
+                required: false
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.toCsv(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue('CSV Files Written'));
+                        }
+                        return result;
+                    }),
+                getColumnData: () => ({
+                    files: [
+                        { key: 'source', label: 'Tree File' },
+                        { key: 'file', label: 'CSV File' },
+                        { key: 'sobject', label: 'SObject' },
+                        { key: 'records', label: 'Records' }
+                    ]
+                }),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: () => ''
+            }, context);
+        }
+    };
+}());
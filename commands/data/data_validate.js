@@ -0,0 +1,61 @@
+ 'use strict';
+
+// Node
+const path = require('path');
+
+// Local
+const messages = require(path.join(__dirname, '..', '..', 'lib', 'messages'))();
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js')); // eslint-disable-line global-require
+
+(function () {
+    'use strict';
+
+    module.exports = {
+        command: 'validate',
+        topic: 'data',
+        description: messages.getMessage('description', [], 'data_validate'),
+        longDescription: messages.getMessage('longDescription', [], 'data_validate'),
+        help: messages.getMessage('help', [], 'data_validate'),
+        requiresWorkspace: false,
+        flags: [
+            {
+                name: "dataplan",
+                char: "f",
+                description: "The data plan to check",
+                hasValue: true,
+                required: true
+            }
+        ],
+
+        run (context) {
+            const utils = require(path.join(__dirname, '..', '..', 'lib', 'utils.js')); // eslint-disable-line global-require
+            const logger = utils.logger;
+            const data = new Data();
+
+            return utils.executeCommand({
+                execute: execContext =>
+                    data.validate(execContext.flags)
+                    .then((result) => {
+                        if (!execContext.flags.json) {
+                            logger.styledHeader(logger.color.blue('Data Plan Valid'));
+                        }
+                        return result;
+                    })
+                    .catch((err) => {
+                        // Show the problems as a table, one row per file and record
+                        if (err.problems) {
+                            err.rows = err.problems;
+                            err.columns = [
+                                { key: 'file', label: 'File' },
+                                { key: 'record', label: 'Record' },
+                                { key: 'problem', label: 'Problem' }
+                            ];
+                        }
+                        throw err;
+                    }),
+                getHumanErrorMessage: () => '',
+                getHumanSuccessMessage: (result) => `${result.records} records in ${result.files} files`
+            }, context);
+        }
+    };
+}());
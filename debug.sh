@@ -1,11 +1,4 @@
 #!/bin/bash
 
-while [ $# -gt 0 ]
-do
-	echo $1
-	command=$command" "$1
-	shift
-done
-echo $command
-node --inspect-brk debug.js "{ \"cmd\":\"$command\" }"
-#node --inspect-brk lib/utils.js "{ \"cmd\":\"$command\" }"
+# Runs a command under the inspector, for example: ./debug.sh data:split -f data/plan.json
+node --inspect-brk bin/djc.js "$@"
@@ -2,6 +2,16 @@
 
 const path = require('path');
 const datasplit = require('./commands/data/data_split.js');
+const datamerge = require('./commands/data/data_merge.js');
+const datavalidate = require('./commands/data/data_validate.js');
+const dataplan = require('./commands/data/data_plan.js');
+const datapartition = require('./commands/data/data_partition.js');
+const datasimulate = require('./commands/data/data_simulate.js');
+const dataconvert = require('./commands/data/data_convert.js');
+const datafromcsv = require('./commands/data/data_fromcsv.js');
+const datatocsv = require('./commands/data/data_tocsv.js');
+const dataflatten = require('./commands/data/data_flatten.js');
+const datanest = require('./commands/data/data_nest.js');
 const dataTopic = require('./commands/data/data.js');
 
 (function () {
@@ -14,6 +24,6 @@ const dataTopic = require('./commands/data/data.js');
     description: 'data commands the djc namespace'
   };
 
-  exports.commands = [datasplit];
+  exports.commands = [datasplit, datamerge, datavalidate, dataplan, datapartition, datasimulate, dataconvert, datafromcsv, datatocsv, dataflatten, datanest];
 
 }());
\ No newline at end of file
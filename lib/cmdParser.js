@@ -1,153 +1,211 @@
 'use strict';
 
-const _parseArgs = function(cmd, args) { //command *Command, args []string) (result map[string]string, flags map[string]interface{}, err error) {
-    let result = {}; //map[string]string{}
-    let vargs = parseVarArgs(cmd, args); //args, flags, err = parseVarArgs(command, args)
-    if (vargs.err) {
-        return { "result":null, "flags":null, "err":vargs.err}; //nil, nil, err
-    }
-    if (args.length > cmd.args.length) { //len(args) > len(command.Args) {
-        //command.unexpectedArgumentsErr(args.slice(cmd.args.length)); //[len(command.Args):])
-        throw new Error("unexpected argument - " + args.slice(cmd.args.length));
-        //process.exit();
-    }
-    args.forEach(function(arg, i) { //for i, arg := range args {
-        result[cmd.args[i].name] = arg; //result[command.Args[i].Name] = arg
-    });
-    cmd.args.forEach(function(arg) { //for _, arg := range command.Args {
-        if (!arg.optional && result[arg.name] === "") {
-            throw new Error("Missing argument: " + arg.name);
-            //process.exit(); //ExitWithMessage("Missing argument: %s", strings.ToUpper(arg.Name))
-        }
-    });
-    return { "result":result, "flags":flags, "err":null };
+const path = require('path');
+const os = require('os');
+
+const _ = require('lodash');
+
+const messages = require(path.join(__dirname, 'messages'))();
+const pluginError = require(path.join(__dirname, 'pluginError'));
+
+// Flags every command takes from the CLI itself rather than from its flags array
+const GLOBAL_FLAGS = [
+    { name: 'json', description: messages.getMessage('jsonFlagDescription', [], 'cli'), hasValue: false },
+    { name: 'loglevel', description: messages.getMessage('loglevelFlagDescription', [], 'cli'), hasValue: true },
+    { name: 'help', char: 'h', description: messages.getMessage('helpFlagDescription', [], 'cli'), hasValue: false }
+];
+
+// How the value of a typed flag is checked and converted
+const FLAG_TYPES = {
+    string: { label: 'a value', parse: (value) => value },
+    integer: { label: 'a whole number', parse: (value) => (/^-?\d+$/.test(value) ? Number(value) : undefined) },
+    number: { label: 'a number', parse: (value) => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined) }
 };
-// ParseFlag parses a flag from argument inputs
-const _parseFlag = function(input, flags) {
-    let keyvalue = input.split("=", 2); //:= strings.SplitN(input, "=", 2)
-    let key = keyvalue[0];
-    let value = "";
-    if (keyvalue.length === 2) { //len(keyvalue) == 2 {
-        value = keyvalue[1];
-    }
-    if (key.length > 2 && key[1] != '-') { //len(key) > 2 && key[1] != '-' {
-        return _parseFlag(key.slice(2) + "=" + key.slice(0, 3), flags); //(key[:2]+"="+key[2:], flags)
-    }
 
-    for (let i=0;i<flags.length;i++) {
-        const flag = flags[i];
-        if (flag.char != "" && key == "-"+flag.char || key == "--"+flag.name) {
-            flag.json = "";
-            if (flag.hasValue) {
-                if (value == "") {
-                    const err = new Error(flag.name + " needs a value");
-                    return { "flag":null, "string":"", "error":err }
-                }
-                return { "flag":flag, "value":value, "error":null };
-            }
-            if (value != "") {
-                const err = new Error(flag.name + " does not take a value");
-                return { "flag":null, "value":"", "error":err  };
-            }
-            return { "flag":flag, "value":"", "error":null };
-        }
-    };
-    return { "flag":null, "value":"", "error":null };
+// Private helper functions
+const _commandName = (cmd) => {
+    return `${cmd.topic}:${cmd.command}`;
 };
-const _parseCommand = function(cmd, args) {
-    let result = []; //make([]string, 0, len(args))
-    let flags = {}; //map[string]interface{}{}
-    let parseFlags = true;
-    let possibleFlags = [];
-
-    if (cmd.flags && cmd.flags.length > 0) {
-        cmd.flags.forEach(function(f)
-        { // := range command.Flags {
-            //f := flag
-            possibleFlags.push(f); // = append(possibleFlags, &f)
-        });
+
+const _usageError = (bin, key, tokens, usage) => {
+    return pluginError({ keyName: key, bundle: 'cli' }, tokens, { keyName: 'cliUsageAction', bundle: 'cli' }, [usage || bin]);
+};
+
+/**
+ * Finds the command named by topic:command, with or without the plugin's namespace in front.
+ */
+const _findCommand = (root, name) => {
+    const parts = name.split(':');
+    if (parts.length > 2 && parts[0] === _.get(root, 'namespace.name')) {
+        parts.shift();
     }
+    return _.find(root.commands, (cmd) => cmd.topic === parts[0] && cmd.command === parts.slice(1).join(':'));
+};
+
+/**
+ * Checks a flag's value against its type and converts it, so --chunksize 100 arrives as a number.
+ */
+const _flagValue = (bin, usage, flag, value) => {
+    const type = FLAG_TYPES[flag.type || 'string'];
+    const parsed = type.parse(value);
+    if (_.isUndefined(parsed)) {
+        throw _usageError(bin, 'cliInvalidFlagType', [flag.name, type.label, value], usage);
+    }
+    return parsed;
+};
 
+/**
+ * Parses the flags of a command: --name value, --name=value, -c value and -cvalue for flags that
+ * take a value, and --name or -c for those that do not.
+ */
+const _parseFlags = (bin, cmd, args) => {
+    const usage = `${bin} ${_commandName(cmd)}`;
+    const known = (cmd.flags || []).concat(GLOBAL_FLAGS);
+    const flags = {};
     for (let i = 0; i < args.length; i++) {
-        switch (true) {
-        case parseFlags && (args[i] == "--"):
-            parseFlags = false
-        case parseFlags && (args[i] == "--help" || args[i] == "-h"):
-            return; //nil, nil, errHelp
-        case parseFlags && (args[i] == "--no-color"):
-            break;
-        case parseFlags && args[i][0] === "-": //strings.HasPrefix(args[i], "-"):
-            let val;
-            let flag = _parseFlag(args[i], possibleFlags);  //need to return an object with val and err
-            if (flag.error && flag.error.message.endsWith("needs a value")) {
-                i++
-                if (args.length === i) {
-                    throw new Error(err);
-                    //process.exit(); //ExitWithMessage(err.Error())
-                }
-                flag = _parseFlag(args[i-1]+"="+args[i], possibleFlags);
-            }
-            if (flag.flag) {
-                if (flag.flag.hasValue) {
-                    flags[flag.flag.name] = flag.value
-                } else {
-                    flags[flag.flag.name] = true
-                }
-            }
-            switch (true) {
-            case flag.error != null:
-                throw new Error(flag.error);
-                //process.exit(); //ExitWithMessage(err.Error())
-            case !flag.flag && cmd.variableArgs:
-                result.push(args[i]); // = append(result, args[i])
-            case !flag.flag == null: // == nil:
-                throw new Error(args[i]);
-                //process.exit(); //command.unexpectedFlagErr(args[i])
-            }
-        default:
-            result.push(args[i]); // = append(result, args[i])
+        const arg = args[i];
+        let flag;
+        let value;
+        if (arg.startsWith('--') && arg.length > 2) {
+            const [name, ...rest] = arg.slice(2).split('=');
+            flag = _.find(known, { name });
+            value = rest.length > 0 ? rest.join('=') : undefined;
         }
-    }
-    cmd.flags.forEach(function(flag) 
-    { //for _, flag := range command.Flags {
-        if (flag.Required && flags[flag.Name]) { //flags[flag.Name] == nil {
-            throw new Error("Required flag: " + flag.name);
-            //process.exit(); //ExitWithMessage("Required flag: %s", flag.String())
+        else if (arg.startsWith('-') && arg.length > 1 && arg !== '--') {
+            flag = _.find(known, { char: arg[1] });
+            value = arg.length > 2 ? arg.slice(2).replace(/^=/, '') : undefined;
+        }
+        else {
+            throw _usageError(bin, 'cliUnexpectedArgument', [arg], usage);
+        }
+        if (!flag) {
+            throw _usageError(bin, 'cliUnknownFlag', [arg.split('=')[0]], usage);
         }
-    });
-    return { "result":result, "flags":flags }; //, nil
-}
 
-module.exports = {
-    parseCommand: (root, args) => {
-        const cmds = root.commands
-        let cmd;
-        const options = JSON.parse(process.argv[2].trim());
-
-        const cmdstring = options.cmd.trim().split(' ');
-        const cstring = cmdstring.shift();
-
-        const cmdSplit = cstring.trim().split(':');
-        const flagstr = cmdstring.join(' ');
-
-        const flags = flagstr.split(" ");
-        const namespace = cmdSplit.shift().trim();
-        const topic = cmdSplit.shift().trim();
-
-        // Make sure the command entered via script is a valid command for this plugin
-        for (let i=0, len=cmds.length; i<len; i++) {
-            if (cmds[i].topic === topic && cmds[i].command === cmdSplit.join(':')) {
-                cmd = cmds[i];
-                break;
+        if (!flag.hasValue) {
+            if (!_.isUndefined(value)) {
+                throw _usageError(bin, 'cliFlagTakesNoValue', [flag.name], usage);
+            }
+            flags[flag.name] = true;
+            continue;
+        }
+        if (_.isUndefined(value)) {
+            // The value is the next argument, unless that is another flag
+            if (i + 1 >= args.length || /^-\D/.test(args[i + 1])) {
+                throw _usageError(bin, 'cliFlagNeedsValue', [flag.name], usage);
             }
+            value = args[++i];
         }
+        flags[flag.name] = _flagValue(bin, usage, flag, value);
+    }
 
-        if (!cmd) {
-            console.error(`Command ${options.cmd} not found`);
-            throw new Error(`Command ${options.cmd} not found`);
+    if (!flags.help) {
+        const missing = _.find(cmd.flags, (flag) => flag.required && _.isUndefined(flags[flag.name]));
+        if (missing) {
+            throw _usageError(bin, 'cliMissingFlag', [missing.name], usage);
         }
+    }
+    return flags;
+};
+
+const _formatFlag = (flag) => {
+    const names = `${flag.char ? `-${flag.char}, ` : '    '}--${flag.name}${flag.hasValue ? ` ${flag.name.toUpperCase()}` : ''}`;
+    return { names, description: flag.required ? `(required) ${flag.description}` : flag.description };
+};
+
+const _columns = (rows) => {
+    const width = _.max(_.map(rows, (row) => row[0].length));
+    return _.map(rows, (row) => `  ${_.padEnd(row[0], width)}  ${row[1]}`);
+};
+
+/**
+ * Parses the command line of the standalone CLI: the command named by topic:command followed by its
+ * flags.  Throws an error with an action for anything the command does not take.
+ * @param {object} root the plugin, whose commands are searched for the one named
+ * @param {string[]} args the arguments after the node binary and script
+ * @param {string} bin the name the CLI is run as, used in messages
+ * @returns {{cmd: object, flags: object, help: boolean}} the command, undefined when none is
+ * named, its flags converted to their types, and whether help was asked for instead of a run
+ */
+const parseCommand = (root, args, bin) => {
+    const name = _.head(args);
+    if (_.isUndefined(name) || name === '--help' || name === '-h' || name === 'help') {
+        return { cmd: undefined, flags: {}, help: true };
+    }
+    const cmd = _findCommand(root, name);
+    if (!cmd) {
+        throw _usageError(bin, 'cliUnknownCommand', [name]);
+    }
+    const flags = _parseFlags(bin, cmd, args.slice(1));
+    return { cmd, flags: _.omit(flags, 'help'), help: !!flags.help };
+};
 
-        const parsedCommand = _parseCommand(cmd, flags);
-        return { cmd:cmd, flags:parsedCommand.flags };
+/**
+ * The help of a command, made from its description, help and flags, or, without a command, the list
+ * of every command of the plugin.
+ * @param {object} root the plugin
+ * @param {object} cmd the command, or undefined for the list of commands
+ * @param {string} bin the name the CLI is run as
+ * @returns {string} the help text
+ */
+const formatHelp = (root, cmd, bin) => {
+    if (!cmd) {
+        return [
+            messages.getMessage('usage', [bin, 'COMMAND'], 'cli'),
+            '',
+            messages.getMessage('commandsHeader', [], 'cli')
+        ].concat(_columns(_.map(root.commands, (c) => [_commandName(c), c.description])), [
+            '',
+            messages.getMessage('commandHelpHint', [bin], 'cli')
+        ]).join(os.EOL);
     }
-}
+    const flags = _.map((cmd.flags || []).concat(GLOBAL_FLAGS), _formatFlag);
+    const description = cmd.longDescription || cmd.description;
+    const lines = [messages.getMessage('usage', [bin, _commandName(cmd)], 'cli'), '', description];
+    if (cmd.help && cmd.help !== description) {
+        lines.push('', cmd.help);
+    }
+    lines.push('', messages.getMessage('flagsHeader', [], 'cli'));
+    return lines.concat(_columns(_.map(flags, (flag) => [flag.names, flag.description]))).join(os.EOL);
+};
+
+const _cellText = (value) => {
+    if (_.isNil(value)) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return _.map(value, _cellText).join(', ');
+    }
+    return _.isObject(value) ? JSON.stringify(value) : `${value}`;
+};
+
+/**
+ * A table of rows with a column for every field any of them has, headed by the field names.
+ */
+const _table = (rows) => {
+    const keys = _.union(..._.map(rows, _.keys));
+    const lines = [_.map(keys, _.startCase)].concat(_.map(rows, (row) => _.map(keys, (key) => _cellText(row[key]))));
+    const widths = _.map(keys, (key, k) => _.max(_.map(lines, (line) => line[k].length)));
+    return _.map(lines, (line) => _.trimEnd(_.map(line, (cell, k) => _.padEnd(cell, widths[k])).join('  ')));
+};
+
+/**
+ * The result of a command as text: its single values first, then a table for each list of rows under
+ * the list's name.  Empty lists are left out.
+ * @param {object} result what the command resolved with
+ * @returns {string} the text to print
+ */
+const formatResult = (result) => {
+    const lines = _.map(_.omitBy(result, Array.isArray), (value, key) => `${_.startCase(key)}: ${_cellText(value)}`);
+    _.forEach(_.pickBy(result, (value) => Array.isArray(value) && value.length > 0), (rows, key) => {
+        lines.push('', `=== ${_.startCase(key)}`);
+        lines.push(..._.every(rows, _.isPlainObject) ? _table(rows) : _.map(rows, _cellText));
+    });
+    return lines.join(os.EOL);
+};
+
+module.exports = {
+    parseCommand,
+    formatHelp,
+    formatResult
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+const path = require('path');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+const csvFile = require(path.join(__dirname, 'csvFile'));
+
+// The most records Bulk API accepts in a single batch
+const BATCH_LIMIT = 10000;
+
+/**
+ * The name of the relationship behind a lookup field, which Bulk API uses to look up the parent by an
+ * external Id: AccountId is the Account relationship and Parent__c the Parent__r one.  A field named
+ * neither way has no relationship name to go by.
+ */
+const relationshipName = (field) => {
+    if (/__c$/.test(field)) {
+        return field.replace(/__c$/, '__r');
+    }
+    return /.Id$/.test(field) ? field.slice(0, -2) : undefined;
+};
+
+/**
+ * Starts collecting the columns of the batches of one tree file.
+ * @param {string} externalId the external Id field that holds the referenceId of each record
+ * @returns {object} the columns, filled in by addRecord
+ */
+const createColumns = (externalId) => {
+    return { externalId, fields: [], values: new Set(), refs: new Set() };
+};
+
+/**
+ * Adds the fields of a record to the columns of its batches, in the order they first appear.  A field
+ * holding an @ref gets a relationship column that names the record by its external Id, and a field
+ * holding anything else a column of its own, so a lookup can have both.  Bulk API CSV is flat, so
+ * records with nested child records are refused.
+ * @param {object} columns from createColumns
+ * @param {object} record the record, as it is written
+ * @param {string} source the tree file the record comes from
+ */
+const addRecord = (columns, record, source) => {
+    const referenceId = _.get(record, 'attributes.referenceId');
+    _.forEach(record, (value, field) => {
+        if (field === 'attributes' || field === columns.externalId) {
+            return;
+        }
+        if (references.isChildRelationship(value)) {
+            throw pluginError({ keyName: 'dataSplitBulkNotFlat', bundle: 'data_split' }, [referenceId, source],
+                { keyName: 'dataSplitBulkNotFlatAction', bundle: 'data_split' });
+        }
+        if (!_.includes(columns.fields, field)) {
+            columns.fields.push(field);
+        }
+        if (!references.isRef(value)) {
+            columns.values.add(field);
+            return;
+        }
+        if (!columns.externalId) {
+            throw pluginError({ keyName: 'dataSplitBulkNoExternalId', bundle: 'data_split' }, [referenceId, source, field]);
+        }
+        if (!relationshipName(field)) {
+            throw pluginError({ keyName: 'dataSplitBulkUnknownRelationship', bundle: 'data_split' }, [field, source]);
+        }
+        columns.refs.add(field);
+    });
+};
+
+/**
+ * The header of a batch file and how each of its cells is read from a record.  The external Id column
+ * comes first and holds the referenceId, since that is what the @refs of other records name.
+ */
+const _describeColumns = (columns) => {
+    const described = columns.externalId ? [{ header: columns.externalId, cell: (record) => _.get(record, 'attributes.referenceId') }] : [];
+    _.forEach(columns.fields, (field) => {
+        if (columns.values.has(field)) {
+            described.push({
+                header: field,
+                cell: (record) => {
+                    const value = record[field];
+                    return references.isRef(value) || _.isNil(value) ? '' : (_.isObject(value) ? JSON.stringify(value) : value);
+                }
+            });
+        }
+        if (columns.refs.has(field)) {
+            described.push({
+                header: `${relationshipName(field)}.${columns.externalId}`,
+                cell: (record) => (references.isRef(record[field]) ? record[field].slice(1) : '')
+            });
+        }
+    });
+    return described;
+};
+
+/**
+ * Opens a batch file for writing one record at a time, starting with its header.
+ * @param {string} filepath the file to write
+ * @param {object} columns the columns of the tree file the records come from
+ * @returns {{write: function, end: function}} like the writer of a tree file
+ */
+const createWriter = (filepath, columns) => {
+    const described = _describeColumns(columns);
+    const writer = csvFile.createWriter(filepath);
+    // Only the header write can still be draining when the first record comes
+    let pending = writer.write(_.map(described, 'header'));
+    const drained = () => {
+        const wait = Promise.resolve(pending);
+        pending = undefined;
+        return wait;
+    };
+    return {
+        write(record) {
+            const row = _.map(described, (column) => column.cell(record));
+            return pending ? drained().then(() => writer.write(row)) : writer.write(row);
+        },
+
+        end() {
+            return drained().then(() => writer.end());
+        }
+    };
+};
+
+/**
+ * The job manifest for the batches of a plan: one insert job per entry, run in plan order, each one
+ * finishing before the next starts.  The batches of a job run in parallel unless its records use each
+ * other, in which case they run serially in the order given.
+ * @param {object[]} plan the entries, with their batch files
+ * @param {object[][]} chunksByEntry the chunks each batch file was written from
+ * @param {object} options the externalId field and the batchSize
+ * @returns {object} the manifest
+ */
+const createJobManifest = (plan, chunksByEntry, options) => {
+    const jobs = [];
+    _.forEach(plan, (p, i) => {
+        if (p.files.length === 0) {
+            return;
+        }
+        const produced = new Set(_.flatMap(chunksByEntry[i], 'produces'));
+        const serial = _.some(chunksByEntry[i], (chunk) => _.some(chunk.consumes, (ref) => produced.has(ref)));
+        jobs.push({
+            order: jobs.length + 1,
+            object: p.sobject,
+            operation: 'insert',
+            contentType: 'CSV',
+            concurrencyMode: serial ? 'Serial' : 'Parallel',
+            records: _.sumBy(chunksByEntry[i], 'count'),
+            batches: p.files
+        });
+    });
+    return { externalIdField: options.externalId || null, batchSize: options.batchSize, jobs };
+};
+
+module.exports = {
+    BATCH_LIMIT,
+    relationshipName,
+    createColumns,
+    addRecord,
+    createWriter,
+    createJobManifest
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+const treeFile = require(path.join(__dirname, 'treeFile'));
+const csvFile = require(path.join(__dirname, 'csvFile'));
+
+// The column that holds each record's attributes.referenceId
+const REFERENCE_ID_COLUMN = 'referenceId';
+
+/**
+ * How each type a mapping can give a field turns the text of a cell into its value, returning
+ * undefined when the text is not one.  Dates are written as yyyy-mm-dd and also read as m/d/yyyy,
+ * the way spreadsheets show them.
+ */
+const TYPES = {
+    string: (text) => text,
+    number: (text) => {
+        const value = Number(text.replace(/,/g, ''));
+        return text.trim() !== '' && Number.isFinite(value) ? value : undefined;
+    },
+    boolean: (text) => {
+        const value = text.trim().toLowerCase();
+        if (_.includes(['true', 'yes', '1'], value)) {
+            return true;
+        }
+        return _.includes(['false', 'no', '0'], value) ? false : undefined;
+    },
+    date: (text) => {
+        const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text.trim());
+        const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text.trim());
+        const parts = iso ? [iso[1], iso[2], iso[3]] : us && [us[3], us[1], us[2]];
+        if (!parts) {
+            return undefined;
+        }
+        const date = new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])));
+        const value = date.toISOString().slice(0, 10);
+        // Date.UTC rolls 2/30 over into March, which is not the date that was meant
+        return date.getUTCDate() === Number(parts[2]) ? value : undefined;
+    },
+    datetime: (text) => {
+        const time = Date.parse(text.trim());
+        return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+    }
+};
+
+// Private helper functions
+const _invalidMapping = (filepath, reason) => {
+    return pluginError({ keyName: 'dataCsvInvalidMapping', bundle: 'data_fromcsv' }, [filepath, reason]);
+};
+
+/**
+ * The text of a cell for a value of a tree record.
+ */
+const _cellText = (value) => {
+    if (_.isNil(value)) {
+        return '';
+    }
+    return _.isObject(value) ? JSON.stringify(value) : `${value}`;
+};
+
+/**
+ * Reads a mapping file, which gives each CSV file, by name, its sObject, the field of each column
+ * header and the type of each field:
+ *   { "accounts.csv": { "sobject": "Account", "fields": { "Account Name": "Name" },
+ *                       "types": { "NumberOfEmployees": "number", "Active__c": "boolean" } } }
+ * A CSV file without an entry is named after its sObject and has a column per field.
+ * @param {string} filepath the mapping file
+ * @returns {object} the mapping of each CSV file by name
+ */
+const loadMapping = (filepath) => {
+    if (!fs.existsSync(filepath)) {
+        throw pluginError({ keyName: 'dataCsvMappingNotFound', bundle: 'data_fromcsv' }, [filepath]);
+    }
+    let spec;
+    try {
+        spec = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    }
+    catch (err) {
+        throw _invalidMapping(filepath, err.message);
+    }
+    if (!_.isPlainObject(spec) || !_.every(spec, _.isPlainObject)) {
+        throw _invalidMapping(filepath, 'it must map each CSV file name to an object');
+    }
+    _.forEach(spec, (entry, name) => {
+        if (!_.isNil(entry.sobject) && (!_.isString(entry.sobject) || entry.sobject === '')) {
+            throw _invalidMapping(filepath, `the sobject of ${name} must be a name`);
+        }
+        if (!_.isNil(entry.fields) && (!_.isPlainObject(entry.fields) || !_.every(entry.fields, _.isString))) {
+            throw _invalidMapping(filepath, `the fields of ${name} must map each column header to a field name`);
+        }
+        const unknown = _.find(entry.types, (type) => !_.has(TYPES, type));
+        if (!_.isNil(entry.types) && (!_.isPlainObject(entry.types) || !_.isUndefined(unknown))) {
+            throw _invalidMapping(filepath, `the types of ${name} must be one of ${_.keys(TYPES).join(', ')}`);
+        }
+    });
+    return spec;
+};
+
+/**
+ * Turns a CSV file into the records of a tree file.  Each row is a record of the sObject; the
+ * referenceId column gives its referenceId, or one like AccountRef1 is made up, and every other
+ * column with a value becomes a field, converted to its type.  Values starting with @ are refs and
+ * stay as they are.
+ * @param {string} filepath the CSV file
+ * @param {object} mapping the entry of the mapping file for it, if any
+ * @returns {{sobject: string, records: object[]}} the records of the file
+ */
+const readCsvFile = (filepath, mapping = {}) => {
+    const { rows, lines } = csvFile.parse(fs.readFileSync(filepath, 'utf8'));
+    const sobject = mapping.sobject || path.parse(filepath).name;
+    const headers = _.map(_.head(rows), _.trim);
+    const fields = _.map(headers, (header) => _.get(mapping.fields, [header], header));
+    const repeated = _.find(fields, (field, i) => field === '' || _.indexOf(fields, field) !== i);
+    if (headers.length === 0 || !_.isUndefined(repeated)) {
+        throw pluginError({ keyName: 'dataCsvInvalidHeader', bundle: 'data_fromcsv' },
+            [filepath, headers.length === 0 ? 'the file is empty' : `the column for ${repeated || 'an empty header'} is not unique`]);
+    }
+
+    const records = _.map(rows.slice(1), (row, r) => {
+        if (row.length > fields.length) {
+            throw pluginError({ keyName: 'dataCsvExtraCells', bundle: 'data_fromcsv' }, [filepath, lines[r + 1], fields.length]);
+        }
+        const record = { attributes: { type: sobject, referenceId: `${sobject}Ref${r + 1}` } };
+        _.forEach(row, (text, c) => {
+            const field = fields[c];
+            if (text === '') {
+                return;
+            }
+            if (field === REFERENCE_ID_COLUMN) {
+                record.attributes.referenceId = text.trim();
+                return;
+            }
+            const type = _.get(mapping.types, [field], 'string');
+            const value = references.isRef(text.trim()) ? text.trim() : TYPES[type](text);
+            if (_.isUndefined(value)) {
+                throw pluginError({ keyName: 'dataCsvInvalidValue', bundle: 'data_fromcsv' }, [filepath, lines[r + 1], text, type, headers[c]]);
+            }
+            record[field] = value;
+        });
+        return record;
+    });
+    return { sobject, records };
+};
+
+/**
+ * Writes the records of a tree file as a CSV file: a referenceId column, then a column for every
+ * field any record has, in the order they first appear, named by the mapping when it gives the field
+ * a header.  The tree file is streamed twice, once for the columns and once for the rows.
+ * @param {string} source the tree file
+ * @param {string} target the CSV file to write
+ * @param {object} mapping the entry of the mapping file for the CSV file, if any
+ * @returns {Promise} resolves with the sObject and the number of records written
+ */
+const writeCsvFile = (source, target, mapping = {}) => {
+    const fields = [];
+    const seen = new Set();
+    let sobject;
+    return treeFile.readRecords(source, (record) => {
+        const type = _.get(record, 'attributes.type');
+        sobject = sobject || type;
+        if (type !== sobject) {
+            throw pluginError({ keyName: 'dataSplitMixedTypes', bundle: 'data_split' }, [source, sobject, type],
+                { keyName: 'dataSplitMixedTypesAction', bundle: 'data_split' });
+        }
+        if (_.some(record, references.isChildRelationship)) {
+            throw pluginError({ keyName: 'dataCsvNotFlat', bundle: 'data_tocsv' }, [source, _.get(record, 'attributes.referenceId')],
+                { keyName: 'dataCsvNotFlatAction', bundle: 'data_tocsv' });
+        }
+        _.forEach(_.keys(record), (field) => {
+            if (field !== 'attributes' && !seen.has(field)) {
+                seen.add(field);
+                fields.push(field);
+            }
+        });
+    })
+    .then(() => {
+        const headers = _.invert(mapping.fields || {});
+        const writer = csvFile.createWriter(target);
+        return Promise.resolve(writer.write([REFERENCE_ID_COLUMN].concat(_.map(fields, (field) => headers[field] || field))))
+            .then(() => treeFile.readRecords(source, (record) => {
+                return writer.write([_.get(record, 'attributes.referenceId')].concat(_.map(fields, (field) => _cellText(record[field]))));
+            }))
+            .then((count) => writer.end().then(() => ({ sobject, records: count })));
+    });
+};
+
+module.exports = {
+    loadMapping,
+    readCsvFile,
+    writeCsvFile
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const _ = require('lodash');
+
+// Private helper functions
+const _needsQuotes = (value) => {
+    return /[",\r\n]/.test(value) || value !== value.trim();
+};
+
+const _formatRow = (row) => {
+    return _.map(row, (cell) => {
+        const value = _.isNil(cell) ? '' : `${cell}`;
+        return _needsQuotes(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',');
+};
+
+/**
+ * Parses CSV text the way spreadsheets write it: fields separated by commas, quoted with double
+ * quotes when they hold commas, quotes or line breaks, and a doubled quote for a quote inside.
+ * @param {string} text the contents of the CSV file, with or without a byte order mark
+ * @returns {{rows: string[][], lines: number[]}} the rows, blank lines left out, and the line each
+ * one starts on
+ */
+const parse = (text) => {
+    const rows = [];
+    const lines = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    const endCell = () => {
+        row.push(cell);
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+            lines.push(rowLine);
+        }
+        row = [];
+    };
+    const body = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    for (let i = 0; i < body.length; i++) {
+        const c = body[i];
+        if (quoted) {
+            if (c === '"' && body[i + 1] === '"') {
+                cell += '"';
+                i++;
+            }
+            else if (c === '"') {
+                quoted = false;
+            }
+            else {
+                line += c === '\n' ? 1 : 0;
+                cell += c;
+            }
+        }
+        else if (c === '"' && cell === '') {
+            quoted = true;
+        }
+        else if (c === ',') {
+            endCell();
+        }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && body[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+            line++;
+            rowLine = line;
+        }
+        else {
+            cell += c;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+    return { rows, lines };
+};
+
+/**
+ * Opens a CSV file for writing one row at a time.
+ * @param {string} filepath the file to write
+ * @returns {{write: function, end: function}} write(row) returns a promise when the stream needs to
+ * drain first, and end() resolves once the file is closed
+ */
+const createWriter = (filepath) => {
+    const stream = fs.createWriteStream(filepath, { encoding: 'utf8' });
+    let error;
+    stream.on('error', (err) => { error = err; });
+
+    return {
+        write(row) {
+            if (error) {
+                return Promise.reject(error);
+            }
+            const ok = stream.write(_formatRow(row) + os.EOL);
+            return ok ? undefined : new Promise((resolve, reject) => {
+                stream.once('drain', resolve);
+                stream.once('error', reject);
+            });
+        },
+
+        end() {
+            return new Promise((resolve, reject) => {
+                if (error) {
+                    return reject(error);
+                }
+                stream.once('error', reject);
+                stream.end(resolve);
+                return undefined;
+            });
+        }
+    };
+};
+
+module.exports = {
+    parse,
+    createWriter
+};
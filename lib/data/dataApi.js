@@ -3,81 +3,1221 @@
 const path = require('path');
 const fs = require('fs');
 const _ = require('lodash');
+const EventEmitter = require('events');
+const Promise = require('bluebird');
 
 const messages = require(path.join(__dirname, '..', 'messages'))();
 const pluginError = require(path.join(__dirname, '..', 'pluginError'));
-let temparray = [];
+const references = require(path.join(__dirname, 'references'));
+const treeFile = require(path.join(__dirname, 'treeFile'));
+const FileTransaction = require(path.join(__dirname, 'fileTransaction'));
+const planValidator = require(path.join(__dirname, 'planValidator'));
+const planBuilder = require(path.join(__dirname, 'planBuilder'));
+const splitManifest = require(path.join(__dirname, 'splitManifest'));
+const partitioner = require(path.join(__dirname, 'partitioner'));
+const transform = require(path.join(__dirname, 'transform'));
+const mask = require(path.join(__dirname, 'mask'));
+const selection = require(path.join(__dirname, 'selection'));
+const dedupe = require(path.join(__dirname, 'dedupe'));
+const referenceIds = require(path.join(__dirname, 'referenceIds'));
+const importSimulator = require(path.join(__dirname, 'importSimulator'));
+const queryConverter = require(path.join(__dirname, 'queryConverter'));
+const csvConverter = require(path.join(__dirname, 'csvConverter'));
+const bulkBatch = require(path.join(__dirname, 'bulkBatch'));
+const nesting = require(path.join(__dirname, 'nesting'));
+
+// The most records the tree import accepts in a single request
+const RECORD_LIMIT = 200;
+
+// The bytes a chunk file spends outside of its records
+const CHUNK_OVERHEAD = Buffer.byteLength(treeFile.FILE_START + treeFile.FILE_END);
 
 // Private helper functions
+/**
+ * Checks an operation has the options its command requires as flags, since the library gets no
+ * help from the CLI there.  Resolves missing options to an empty object.
+ */
+const _requireOptions = (options, operation, names) => {
+    const given = options || {};
+    const missing = _.find(names, (name) => _.isNil(given[name]) || given[name] === '');
+    if (missing) {
+        throw pluginError({ keyName: 'dataMissingOption', bundle: 'data' }, [operation, missing]);
+    }
+    return given;
+};
+
 const _validateFile = (path) => {
     return fs.existsSync(path);
 };
 
-const _writeFile = (name, contents) => {
-    var fs = require('fs');
-    fs.writeFile(name, contents, function(err) {
-        if(err) {
-            return console.log(err);
+const _readJsonFile = (filepath) => {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+};
+
+/**
+ * The bytes a record takes up once written into a chunk file, counting its indentation inside the
+ * records array and the separator that follows it.
+ */
+const _recordBytes = (record) => {
+    const json = JSON.stringify(record, null, 4);
+    return Buffer.byteLength(json) + (json.split('\n').length * 8) + 2;
+};
+
+/**
+ * The limits of Bulk API batches: the records of each one and the external Id field that takes the
+ * place of referenceIds.  Chunk size and max bytes only apply to tree files.
+ */
+const _getBulkLimits = (options) => {
+    const used = _.find(['chunksize', 'maxbytes'], (flag) => !_.isNil(options[flag]));
+    if (used) {
+        throw pluginError({ keyName: 'dataSplitBulkTreeFlag', bundle: 'data_split' }, [used]);
+    }
+    if (!options.outputdir) {
+        throw pluginError({ keyName: 'dataSplitBulkNeedsOutputDir', bundle: 'data_split' });
+    }
+    const batchSize = _.isNil(options.batchsize) ? bulkBatch.BATCH_LIMIT : Number(options.batchsize);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > bulkBatch.BATCH_LIMIT) {
+        throw pluginError({ keyName: 'dataSplitInvalidBatchSize', bundle: 'data_split' }, [options.batchsize, bulkBatch.BATCH_LIMIT]);
+    }
+    return { chunkSize: batchSize, maxBytes: undefined, overhead: 0, bulk: { batchSize, externalId: options.externalid } };
+};
+
+const _getLimits = (options) => {
+    if (options.bulk) {
+        return _getBulkLimits(options);
+    }
+    const used = _.find(['batchsize', 'externalid'], (flag) => !_.isNil(options[flag]));
+    if (used) {
+        throw pluginError({ keyName: 'dataSplitBulkOnly', bundle: 'data_split' }, [used]);
+    }
+    const chunkSize = _.isNil(options.chunksize) ? RECORD_LIMIT : Number(options.chunksize);
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > RECORD_LIMIT) {
+        throw pluginError({ keyName: 'dataSplitInvalidChunkSize', bundle: 'data_split' }, [options.chunksize, RECORD_LIMIT]);
+    }
+    const maxBytes = _.isNil(options.maxbytes) ? undefined : Number(options.maxbytes);
+    if (!_.isUndefined(maxBytes) && (!Number.isInteger(maxBytes) || maxBytes <= CHUNK_OVERHEAD)) {
+        throw pluginError({ keyName: 'dataSplitInvalidMaxBytes', bundle: 'data_split' }, [options.maxbytes]);
+    }
+    return { chunkSize, maxBytes, overhead: CHUNK_OVERHEAD };
+};
+
+/**
+ * In output directory mode refuses to write over any of the inputs, and over anything already in the
+ * output directory unless force is set or it is one of the owned files an earlier run wrote there.
+ */
+const _checkOutputFiles = (targets, inputs, force, owned) => {
+    const overwritten = _.intersection(targets, inputs);
+    if (overwritten.length > 0) {
+        throw pluginError({ keyName: 'dataSplitOutputOverwritesInput', bundle: 'data_split' }, [overwritten.join(', ')]);
+    }
+    const conflicts = _.filter(_.difference(targets, owned), _validateFile);
+    if (conflicts.length > 0 && !force) {
+        throw pluginError({ keyName: 'dataSplitOutputConflict', bundle: 'data_split' }, [conflicts.join(', ')],
+            { keyName: 'dataSplitOutputConflictAction', bundle: 'data_split' });
+    }
+};
+
+/**
+ * Refuses chunk names that clash: two files of the new plan with the same name, or, when the chunks
+ * are written next to their sources, a chunk named like one of the sources.  Account.json split into
+ * chunks of 2 names its second chunk Account2.json, which may already be another file of the plan.
+ */
+const _checkChunkNames = (chunks, inPlace) => {
+    const names = _.map(chunks, 'fileName');
+    const sources = new Set(_.map(chunks, 'source'));
+    const clashes = _.uniq(_.filter(names, (name, i) => {
+        return names.indexOf(name) !== i || (inPlace && chunks[i].split && sources.has(name));
+    }));
+    if (clashes.length > 0) {
+        throw pluginError({ keyName: 'dataSplitChunkNameClash', bundle: 'data_split' }, [clashes.join(', ')],
+            { keyName: 'dataSplitChunkNameClashAction', bundle: 'data_split' });
+    }
+};
+
+/**
+ * Points the refs of a record at the survivors of any duplicates, then applies the transform rules and
+ * the masking of a split to it, tallying what they change when asked.  Masking comes last so its rules
+ * name fields as the transform leaves them.
+ */
+const _rewriteRecord = (rewrites, record, tally) => {
+    if (rewrites.dedupe) {
+        dedupe.rewriteRefs(rewrites.dedupe, record);
+    }
+    if (rewrites.rules) {
+        transform.applyRules(rewrites.rules, record, tally);
+    }
+    if (rewrites.mask) {
+        mask.applyMask(rewrites.mask, record, tally);
+    }
+};
+
+/**
+ * Works out how one tree file splits into chunks that stay within the limits, keeping every record
+ * that produces a referenceId in an earlier chunk than the records that consume it.  Nested child
+ * records count toward the limit along with their parent, which always stays in one chunk.  The file is
+ * streamed and only the graph of each record is kept, never the record itself.  Resolves with the
+ * files that make up the data along with the referenceIds each of them produces and consumes.
+ * Chunks that need writing share a split describing where each record of the source goes; a file
+ * that needs no split comes back as a single chunk without one.
+ */
+const _breakupDataFile = (datafolder, f, limits, progress = _.noop) => {
+    const nodes = [];
+    const columns = limits.bulk ? bulkBatch.createColumns(limits.bulk.externalId) : undefined;
+    let sobject;
+    // Whether any record is a duplicate or refers to one, which means the file has to be rewritten
+    let merged = false;
+    return treeFile.readRecords(path.join(datafolder, f), (record, index) => {
+        const type = _.get(record, 'attributes.type');
+        if (limits.ids) {
+            // Everything after works on the new referenceIds
+            referenceIds.renameRecord(limits.ids, f, record);
+        }
+        sobject = sobject || type;
+        if (type && type !== sobject) {
+            throw pluginError({ keyName: 'dataSplitMixedTypes', bundle: 'data_split' }, [f, sobject, type],
+                { keyName: 'dataSplitMixedTypesAction', bundle: 'data_split' });
+        }
+        if (limits.selection && !selection.matches(limits.selection, record)) {
+            // Filtered records are only kept track of so the records using them can be dropped too
+            nodes.push(_.assign(references.describeRecord(record, index), { dropped: 'filter' }));
+            return;
+        }
+        if (limits.dedupe && dedupe.isDuplicate(limits.dedupe, record, f)) {
+            // A duplicate produces nothing: the refs to it are pointed at its survivor
+            nodes.push({ index, referenceIds: [], refs: [], weight: 1, dropped: 'duplicate' });
+            merged = true;
+            return;
+        }
+        if (limits.dedupe && _.some(references.getConsumedRefs(record), (ref) => limits.dedupe.merged.has(ref))) {
+            merged = true;
+        }
+        _rewriteRecord(limits, record, true);
+        if (columns) {
+            bulkBatch.addRecord(columns, record, f);
+        }
+        const node = references.describeRecord(record, index);
+        if (node.weight > limits.chunkSize) {
+            throw pluginError({ keyName: 'dataSplitRecordTreeTooLarge', bundle: 'data_split' },
+                [node.referenceIds[0] || index, f, node.weight, limits.chunkSize],
+                { keyName: 'dataSplitRecordTreeTooLargeAction', bundle: 'data_split' });
+        }
+        if (limits.maxBytes) {
+            node.bytes = _recordBytes(record);
+            if (node.bytes + limits.overhead > limits.maxBytes) {
+                throw pluginError({ keyName: 'dataSplitRecordTooLarge', bundle: 'data_split' },
+                    [node.referenceIds[0] || index, f, node.bytes + limits.overhead, limits.maxBytes]);
+            }
+        }
+        nodes.push(node);
+    })
+    .then((count) => {
+        progress({ operation: 'split', step: 'read', file: f, records: count });
+        // Refs to a duplicate found later in the file are only known to point at its survivor now
+        if (limits.dedupe) {
+            _.forEach(nodes, (node) => {
+                const refs = _.uniq(_.map(node.refs, (ref) => dedupe.survivorOf(limits.dedupe, ref)));
+                merged = merged || !_.isEqual(refs, node.refs);
+                node.refs = refs;
+            });
+        }
+        const sorted = references.sortGraph(references.linkGraph(nodes));
+        if (limits.selection) {
+            selection.select(sorted, limits.selection, f);
+        }
+        const kept = _.reject(sorted, 'dropped');
+        const chunks = references.chunkGraph(kept, limits);
+        const describe = (chunk) => {
+            return {
+                source: f,
+                sobject,
+                count: _.sumBy(chunk, 'weight'),
+                produces: _.flatMap(chunk, (node) => node.referenceIds),
+                consumes: _.uniq(_.flatMap(chunk, (node) => node.refs))
+            };
+        };
+
+        if (limits.selection) {
+            const dropped = _.countBy(_.filter(nodes, 'dropped'), 'dropped');
+            limits.selection.stats.push({
+                source: f,
+                sobject,
+                records: _.sumBy(_.reject(nodes, { dropped: 'duplicate' }), 'weight'),
+                filtered: dropped.filter || 0,
+                sampled: dropped.sample || 0,
+                dependents: dropped.dependent || 0,
+                kept: _.sumBy(kept, 'weight')
+            });
+        }
+
+        // Rewritten records and batches always need writing, so even a file that fits in one chunk gets a split
+        if (chunks.length <= 1 && !columns && !limits.rules && !limits.mask && !limits.ids && !merged && kept.length === nodes.length) {
+            return [_.assign({ fileName: f }, describe(nodes))];
         }
-        console.log("The file was saved!\n" + name);
-    }); 
+
+        const split = {
+            source: f,
+            rules: limits.rules,
+            mask: limits.mask,
+            dedupe: merged ? limits.dedupe : undefined,
+            ids: limits.ids,
+            columns,
+            files: [],
+            order: _.map(chunks, (chunk) => splitManifest.recordOrder(_.sortBy(_.map(chunk, 'index')))),
+            sizes: Uint32Array.from(chunks, (chunk) => chunk.length),
+            dropped: Uint8Array.from(nodes, (node) => (node.dropped ? 1 : 0)),
+            chunkOf: new Uint32Array(nodes.length)
+        };
+        const parsed = path.parse(f);
+        const ext = columns ? '.csv' : parsed.ext;
+        let offset = 0;
+        return _.map(chunks, (chunk, c) => {
+            // Chunks stay next to their source, so same-named files from different folders do not clash
+            const fileName = path.join(parsed.dir, parsed.name + offset + ext);
+            offset += chunk.length;
+            _.forEach(chunk, (node) => { split.chunkOf[node.index] = c; });
+            split.files.push(fileName);
+            return _.assign({ fileName, split }, describe(chunk));
+        });
+    });
 };
 
-const _writeDataFile = (datafolder, recordData) => {
-    _writeFile(path.join(datafolder, recordData.fileName), JSON.stringify(recordData.data, null, 4));
-    temparray.push(recordData.fileName);
+/**
+ * Writes the chunks of one split file as part of transaction, reading the source once.  Each record
+ * is held with the rest of its chunk until the last of them arrives, then the chunk is written out, so
+ * only chunks still filling up are in memory.  Records keep their source order within a chunk, which
+ * never holds both a producer and its consumer.  The chunks of a bulk split are written as CSV batches.
+ */
+const _writeSplitFile = (datafolder, targetfolder, split, transaction) => {
+    const filling = new Map();
+    const writeChunk = (chunk, records) => {
+        const target = path.join(targetfolder, split.files[chunk]);
+        const writer = split.columns ? bulkBatch.createWriter(transaction.stage(target), split.columns)
+            : treeFile.createWriter(transaction.stage(target));
+        return Promise.each(records, (record) => writer.write(record))
+            .then(() => writer.end())
+            .catch(transaction.failed(target));
+    };
+    return treeFile.readRecords(path.join(datafolder, split.source), (record, index) => {
+        if (split.dropped[index]) {
+            return undefined;
+        }
+        if (split.ids) {
+            referenceIds.renameRecord(split.ids, split.source, record);
+        }
+        _rewriteRecord(split, record, false);
+        const chunk = split.chunkOf[index];
+        const records = filling.get(chunk) || [];
+        records.push(record);
+        if (records.length < split.sizes[chunk]) {
+            filling.set(chunk, records);
+            return undefined;
+        }
+        filling.delete(chunk);
+        return writeChunk(chunk, records);
+    });
 };
 
-const _breakupDataFile = (datafolder, f) => {
-    let records = require(path.join(datafolder, f)).records;
-    if (records.length <= 200) {
-        temparray.push(f);
-        return
+/**
+ * Works out the saveRefs/resolveRefs flags each plan entry needs once its files are split.  An entry
+ * resolves refs when any of its chunks consumes one, and saves refs when a later chunk, in the same
+ * entry or a following one, consumes a referenceId it produces.
+ */
+const _updateRefFlags = (plan, chunksByEntry) => {
+    const consumedLater = new Set();
+    _.forEachRight(plan, (p, i) => {
+        let savesNeeded = false;
+        _.forEachRight(chunksByEntry[i], (chunk) => {
+            savesNeeded = savesNeeded || _.some(chunk.produces, (id) => consumedLater.has(id));
+            _.forEach(chunk.consumes, (ref) => consumedLater.add(ref));
+        });
+        if (_.some(chunksByEntry[i], (chunk) => chunk.consumes.length > 0)) {
+            p.resolveRefs = true;
+        }
+        if (savesNeeded) {
+            p.saveRefs = true;
+        }
+    });
+};
+
+const _loadPlan = (options) => {
+    const filepath = path.resolve(process.cwd(), options.dataplan);
+    if (!_validateFile(filepath)) {
+        throw pluginError({ keyName: 'dataSplitFileNotFound', bundle: 'data_split' });
+    }
+    return { filepath, datafolder: path.dirname(filepath), plan: _readJsonFile(filepath) };
+};
+
+/**
+ * Loads the plan for splitting tree files given directly: the plan given with --plan, or a new
+ * minimal plan written next to the first of them.  The files, named relative to the plan's folder
+ * like they are in any plan, come back as selected since they are the only ones split.
+ */
+const _loadTreeFiles = (options) => {
+    const sources = _.map(_.compact(_.map(options.sobjecttreefiles.split(','), _.trim)), (f) => path.resolve(process.cwd(), f));
+    _.forEach(sources, (source) => {
+        if (!_validateFile(source)) {
+            throw pluginError({ keyName: 'dataSplitTreeFileNotFound', bundle: 'data_split' }, [source]);
+        }
+    });
+    const loaded = options.plan ? _loadPlan({ dataplan: options.plan }) : {
+        filepath: path.join(path.dirname(sources[0]), `${path.parse(sources[0]).name}-plan.json`),
+        datafolder: path.dirname(sources[0]),
+        plan: []
+    };
+    if (!options.plan && _validateFile(loaded.filepath) && !options.force && !options.outputdir
+            && !_validateFile(splitManifest.manifestPath(loaded.filepath))) {
+        throw pluginError({ keyName: 'dataSplitOutputConflict', bundle: 'data_split' }, [loaded.filepath],
+            { keyName: 'dataSplitOutputConflictAction', bundle: 'data_split' });
+    }
+    loaded.selected = _.map(sources, (source) => path.relative(loaded.datafolder, source));
+    return loaded;
+};
+
+/**
+ * A file that is not split stays as it is, so it cannot lose records that use records a filter or
+ * sample dropped from the files split before it, nor point the refs to a merged duplicate or a renamed
+ * record elsewhere.
+ */
+const _checkDroppedRefs = (f, consumes, limits) => {
+    const dropped = _.filter(consumes, (ref) => (limits.selection && limits.selection.dropped.has(ref))
+        || (limits.dedupe && limits.dedupe.merged.has(ref))
+        || (limits.ids && referenceIds.resolveRef(limits.ids, f, ref) !== ref));
+    if (dropped.length > 0) {
+        const shown = dropped.length > 5 ? `${dropped.slice(0, 5).join(', ')} and ${dropped.length - 5} more` : dropped.join(', ');
+        throw pluginError({ keyName: 'dataSplitDroppedRefs', bundle: 'data_split' }, [f, shown],
+            { keyName: 'dataSplitDroppedRefsAction', bundle: 'data_split' });
+    }
+};
+
+/**
+ * Adds an entry for each selected tree file the plan does not list yet.
+ */
+const _addTreeFiles = (plan, selected) => {
+    _.forEach(selected, (f) => {
+        if (!_.some(plan, (p) => _.includes(p.files, f))) {
+            // The sobject is filled in from the records once the file is read
+            plan.push({ sobject: undefined, saveRefs: false, resolveRefs: false, files: [f] });
+        }
+    });
+};
+
+/**
+ * Works out the chunks of one source file.  A source the manifest shows unchanged since the last
+ * split keeps the chunks already written for it, which are marked reused.
+ */
+const _planSourceFile = (datafolder, f, limits, state) => {
+    return splitManifest.hashFile(path.join(datafolder, f))
+    .then((hash) => {
+        state.hashes[f] = hash;
+        return _breakupDataFile(datafolder, f, limits, state.progress);
+    })
+    .then((chunks) => {
+        const recorded = _.get(state.manifest.sources, [f, 'chunks']);
+        // What a selection, dedupe or renaming makes of a source depends on the other sources, so nothing is reused
+        if (chunks.length > 0 && chunks[0].split && !limits.selection && !limits.dedupe && !limits.ids
+                && splitManifest.isUnchanged(state.manifest, f, state.hashes[f], state.targetfolder)
+                && _.isEqual(recorded, _.map(chunks, 'fileName'))) {
+            chunks[0].split.reused = true;
+        }
+        return chunks;
+    });
+};
+
+const _splitFiles = (options, progress) => {
+    if (_.isNil(options.dataplan) === _.isNil(options.sobjecttreefiles)) {
+        throw pluginError({ keyName: 'dataSplitNoSource', bundle: 'data_split' });
+    }
+    if (options.plan && options.dataplan) {
+        throw pluginError({ keyName: 'dataSplitPlanWithDataPlan', bundle: 'data_split' });
+    }
+    const limits = _getLimits(options);
+    if (options.transform) {
+        limits.rules = transform.loadRules(path.resolve(process.cwd(), options.transform));
+    }
+    if (options.mask) {
+        limits.mask = mask.loadMask(path.resolve(process.cwd(), options.mask), options.seed);
     }
-    let i,j;
-    const chunk = 200;
-    temparray = [];
-    for (i=0,j=records.length; i<j; i+=chunk) {
-        const fname = path.basename(f).split('.');
-        _writeDataFile(datafolder, 
-            { "data": 
-                { "records":records.slice(i,i+chunk)  }, 
-            "fileName": fname[0] + i + '.' + fname[1] 
+    if (options.filter || !_.isNil(options.sample)) {
+        limits.selection = _.assign(selection.loadSelection(options), { stats: [] });
+    }
+    if (options.dedupe) {
+        limits.dedupe = dedupe.loadKeys(path.resolve(process.cwd(), options.dedupe));
+    }
+    if (options.referenceids) {
+        limits.ids = referenceIds.createRenaming(options.referenceids);
+    }
+    const { filepath, datafolder, plan, selected } = options.sobjecttreefiles ? _loadTreeFiles(options) : _loadPlan(options);
+    const outputdir = options.outputdir ? path.resolve(process.cwd(), options.outputdir) : undefined;
+    const targetfolder = outputdir || datafolder;
+    const planpath = path.join(targetfolder, path.basename(filepath));
+    const manifestpath = splitManifest.manifestPath(planpath);
+    const manifest = splitManifest.read(manifestpath, limits);
+    const listed = () => _.map(_.flatMap(plan, 'files'), (f) => path.join(datafolder, f));
+    const original = _.cloneDeep(plan);
+    let inputs = [filepath].concat(listed());
+
+    // A plan rewritten by an earlier split lists chunks; the sources behind them are split again
+    splitManifest.restoreSources(plan, manifest, datafolder);
+    if (selected) {
+        _addTreeFiles(plan, selected);
+    }
+    inputs = _.uniq(inputs.concat(listed()));
+
+    const state = { manifest, manifestpath, targetfolder, progress, hashes: {} };
+    // New referenceIds are worked out up front, since a ref can name a record further down its file
+    const scanned = limits.ids ? referenceIds.scan(limits.ids, datafolder, _.flatMap(plan, 'files'),
+        (f) => !selected || _.includes(selected, f),
+        (file, records) => progress({ operation: 'split', step: 'scan', file, records })) : Promise.resolve();
+    return scanned.then(() => Promise.mapSeries(plan, (p) => {
+        return Promise.mapSeries(p.files, (f) => {
+            // Every file of the plan goes into a batch, since the jobs load the whole plan
+            if (selected && !limits.bulk && !_.includes(selected, f)) {
+                // Files not selected stay whole, but their refs still count toward the plan's flags
+                return _breakupDataFile(datafolder, f, _.omit(limits, ['rules', 'mask', 'selection', 'dedupe', 'ids']), progress).then((chunks) => {
+                    const consumes = _.uniq(_.flatMap(chunks, 'consumes'));
+                    _checkDroppedRefs(f, consumes, limits);
+                    return [{
+                        fileName: f,
+                        source: f,
+                        sobject: chunks[0].sobject,
+                        count: _.sumBy(chunks, 'count'),
+                        produces: _.flatMap(chunks, 'produces'),
+                        consumes
+                    }];
+                });
+            }
+            return _planSourceFile(datafolder, f, limits, state);
+        })
+        .then(_.flatten);
+    }))
+    .then((chunksByEntry) => {
+        if (limits.dedupe) {
+            // A file read before a duplicate was found may still name it
+            _.forEach(_.flatten(chunksByEntry), (chunk) => {
+                chunk.consumes = _.uniq(_.map(chunk.consumes, (ref) => dedupe.survivorOf(limits.dedupe, ref)));
+            });
+        }
+        // Records that still share a referenceId only stop a split that was asked to rename them apart
+        const collisions = referenceIds.findCollisions(_.flatten(chunksByEntry));
+        if (limits.ids) {
+            referenceIds.checkCollisions(collisions);
+        }
+        _.forEach(plan, (p, i) => {
+            if (_.isNil(p.sobject)) {
+                p.sobject = _.get(_.find(chunksByEntry[i], 'sobject'), 'sobject');
             }
-        );
+        });
+        const sources = selected || _.union(_.keys(manifest.sources), _.flatMap(plan, 'files'));
+        return (limits.bulk ? _writeBulk : _writeSplit)(options, _.assign(state, {
+            datafolder, outputdir, planpath, limits, inputs, original, plan, chunksByEntry, sources,
+            collisions: limits.ids ? limits.ids.collisions : collisions
+        }));
+    });
+};
+
+/**
+ * The manifest for this split: every source split now with its hash and chunks, plus, when only some
+ * tree files were split, the sources an earlier run recorded for the others.
+ */
+const _nextManifest = (state) => {
+    const next = splitManifest.create(state.limits);
+    next.sources = _.omit(state.manifest.sources, state.sources);
+    _.forEach(_.flatten(state.chunksByEntry), (chunk) => {
+        if (chunk.split && !_.has(next.sources, chunk.source)) {
+            next.sources[chunk.source] = { hash: state.hashes[chunk.source], chunks: chunk.split.files, order: chunk.split.order };
+        }
+    });
+    return next;
+};
+
+/**
+ * Rewrites the plan for the chunks worked out by _splitFiles, then writes the chunks, the plan and
+ * the manifest and removes stale chunks unless this is a dry run.  Resolves with the split report.
+ */
+const _writeSplit = (options, state) => {
+    const { datafolder, outputdir, planpath, manifestpath, manifest, inputs, original, plan, chunksByEntry } = state;
+    const targetfolder = state.targetfolder;
+    _.forEach(plan, (p, i) => {
+        p.files = _.map(chunksByEntry[i], 'fileName');
+    });
+    _updateRefFlags(plan, chunksByEntry);
+
+    // Unsplit files stay where they are, unless the output goes to its own directory
+    const all = _.flatten(chunksByEntry);
+    _checkChunkNames(all, !outputdir);
+    const chunks = _.filter(all, (chunk) => (chunk.split ? !chunk.split.reused : outputdir));
+    const kept = _.filter(all, (chunk) => chunk.split && chunk.split.reused);
+    const next = _nextManifest(state);
+    const planned = new Set(_.map(all, 'fileName').concat(_.flatMap(plan, 'files')));
+    const stale = _.reject(splitManifest.staleChunks(manifest, next, state.sources), (chunk) => planned.has(chunk));
+    const writeManifest = !_.isEmpty(next.sources) || _validateFile(manifestpath);
+
+    if (outputdir) {
+        const owned = _validateFile(manifestpath) ? [planpath, manifestpath].concat(_.map(_.flatMap(manifest.sources, 'chunks'),
+            (chunk) => path.join(outputdir, chunk))) : [];
+        const targets = [planpath].concat(_.map(chunks, (chunk) => path.join(outputdir, chunk.fileName)),
+            writeManifest ? [manifestpath] : []);
+        _checkOutputFiles(targets, inputs, options.force, owned);
     }
-}
+    const rules = state.limits.rules ? state.limits.rules.rules : [];
+    const masks = state.limits.mask ? state.limits.mask.rules : [];
+    const selected = state.limits.selection ? state.limits.selection.stats : [];
+    const merged = state.limits.dedupe ? state.limits.dedupe.merges : [];
+    const collisions = state.collisions;
+    const report = _splitReport({
+        original, plan, chunksByEntry, chunks, kept, stale, rules, masks, selected, merged, collisions, planpath,
+        dryrun: options.dryrun
+    });
+    if (options.dryrun) {
+        return report;
+    }
+
+    // Nothing replaces an existing file until every chunk and the plan are fully written
+    const transaction = new FileTransaction();
+    const written = (step) => (chunk) => {
+        state.progress({ operation: 'split', step, file: chunk.fileName, records: chunk.count });
+    };
+    return Promise.mapSeries(_.reject(chunks, 'split'), (chunk) => {
+        return transaction.copyFile(path.join(datafolder, chunk.fileName), path.join(targetfolder, chunk.fileName))
+            .then(() => written('copy')(chunk));
+    })
+    .then(() => Promise.mapSeries(_.uniq(_.map(_.filter(chunks, 'split'), 'split')), (s) => {
+        return _writeSplitFile(datafolder, targetfolder, s, transaction)
+            .then(() => _.forEach(_.filter(chunks, (chunk) => chunk.split === s), written('write')));
+    }))
+    .then(() => transaction.writeFile(planpath, JSON.stringify(_.filter(plan, (p) => p.files.length > 0), null, 4)))
+    .then(() => writeManifest && transaction.writeFile(manifestpath, JSON.stringify(next, null, 4)))
+    .then(() => _.forEach(stale, (chunk) => {
+        transaction.remove(path.join(targetfolder, chunk));
+        state.progress({ operation: 'split', step: 'remove', file: chunk });
+    }))
+    .then(() => transaction.commit())
+    .then(() => report)
+    .catch((err) => transaction.rollback().then(() => { throw err; }));
+};
+
+/**
+ * Writes the chunks worked out by _splitFiles as Bulk API CSV batches into the output directory, along
+ * with a job manifest giving the order to load them in, unless this is a dry run.  The plan and the
+ * split manifest are left alone, since no tree files are written.  Resolves with the split report.
+ */
+const _writeBulk = (options, state) => {
+    const { datafolder, outputdir, planpath, inputs, original, plan, chunksByEntry, limits } = state;
+    const jobspath = path.join(outputdir, `${path.parse(planpath).name}-jobs.json`);
+    _.forEach(plan, (p, i) => {
+        p.files = _.map(chunksByEntry[i], 'fileName');
+    });
+    const chunks = _.flatten(chunksByEntry);
+    const jobManifest = bulkBatch.createJobManifest(plan, chunksByEntry, limits.bulk);
+    _checkOutputFiles([jobspath].concat(_.map(chunks, (chunk) => path.join(outputdir, chunk.fileName))), inputs, options.force, []);
+
+    const report = _splitReport({
+        original, plan, chunksByEntry, chunks, kept: [], stale: [], planpath: jobspath, jobs: jobManifest.jobs, dryrun: options.dryrun,
+        rules: limits.rules ? limits.rules.rules : [],
+        masks: limits.mask ? limits.mask.rules : [],
+        selected: limits.selection ? limits.selection.stats : [],
+        merged: limits.dedupe ? limits.dedupe.merges : [],
+        collisions: state.collisions
+    });
+    if (options.dryrun) {
+        return report;
+    }
+
+    const transaction = new FileTransaction();
+    return Promise.mapSeries(_.uniq(_.map(chunks, 'split')), (s) => {
+        return _writeSplitFile(datafolder, outputdir, s, transaction)
+            .then(() => _.forEach(_.filter(chunks, (chunk) => chunk.split === s), (chunk) => {
+                state.progress({ operation: 'split', step: 'write', file: chunk.fileName, records: chunk.count });
+            }));
+    })
+    .then(() => transaction.writeFile(jobspath, JSON.stringify(jobManifest, null, 4)))
+    .then(() => transaction.commit())
+    .then(() => report)
+    .catch((err) => transaction.rollback().then(() => { throw err; }));
+};
+
+/**
+ * Describes what a split does to the plan: one row per entry with its source files, record count,
+ * the files it ends up with and the plan fields that change, one row per file written, kept from an
+ * earlier run or removed as stale, one row per transform rule with the records it changed, one row
+ * per masked field with the values masked, with a filter or sample one row per source file with the
+ * records it dropped, with dedupe one row per duplicate merged into its survivor and one row per
+ * referenceId used by more than one record, which new referenceIds rename apart and which are only a
+ * warning without them.  A bulk split adds one row per job of its job manifest.  An entry left without records is dropped from the plan.
+ */
+const _splitReport = (split) => {
+    const entries = _.map(split.plan, (p, i) => {
+        // An entry added for a file given with --sobjecttreefiles starts out saving and resolving no refs
+        const before = split.original[i] || { saveRefs: false, resolveRefs: false };
+        return {
+            sobject: p.sobject,
+            sourceFiles: _.uniq(_.map(split.chunksByEntry[i], 'source')),
+            records: _.sumBy(split.chunksByEntry[i], 'count'),
+            chunkFiles: p.files,
+            changes: _.filter(['files', 'saveRefs', 'resolveRefs'], (field) => !_.isEqual(before[field], p[field]))
+        };
+    });
+    const row = (action) => (chunk) => {
+        return { file: chunk.fileName, source: chunk.source, records: chunk.count, action };
+    };
+    const files = _.map(split.chunks, (chunk) => row(chunk.split ? 'write' : 'copy')(chunk))
+        .concat(_.map(split.kept, row('keep')))
+        .concat(_.map(split.stale, (chunk) => ({ file: chunk, action: 'remove' })));
+    const rules = _.map(split.rules, (rule) => _.pick(rule, ['sobject', 'rule', 'field', 'value', 'count']));
+    const masked = _.map(split.masks, (rule) => _.pick(rule, ['sobject', 'field', 'rule', 'count']));
+    return { dryrun: !!split.dryrun, plan: split.planpath, entries, files, rules, masked, selected: split.selected, merged: split.merged,
+        collisions: _.map(split.collisions, (c) => ({ referenceId: c.referenceId, sources: c.sources.join(', ') })),
+        jobs: _.map(split.jobs, (job) => _.pick(job, ['order', 'object', 'concurrencyMode', 'records', 'batches'])) };
+};
+
+/**
+ * The name of the file an entry's files merge back into.  Chunks written by split are named after
+ * their source file plus the offset of their first record, so the source name is recovered when the
+ * files follow that pattern; otherwise the file is named after the sObject.
+ */
+const _mergedFileName = (p) => {
+    const first = path.parse(p.files[0]);
+    const stem = first.name.replace(/0$/, '');
+    const chunkPattern = new RegExp(`^${_.escapeRegExp(stem)}\\d+$`);
+    const fromSplit = first.name !== stem && _.every(p.files, (f) => {
+        const parsed = path.parse(f);
+        return parsed.ext === first.ext && chunkPattern.test(parsed.name);
+    });
+    return fromSplit ? path.join(first.dir, stem + first.ext) : `${p.sobject}.json`;
+};
+
+/**
+ * Concatenates each entry's files back into one file, in plan order.  The chunks of a source listed
+ * in the split manifest next to the plan are put back in the order its records had in the source.
+ * Resolves with the plan written and one row per merged file.
+ */
+const _mergeFiles = (options, progress) => {
+    const { filepath, datafolder, plan } = _loadPlan(options);
+    const outputdir = options.outputdir ? path.resolve(process.cwd(), options.outputdir) : undefined;
+    const targetfolder = outputdir || datafolder;
+    const inputs = [filepath].concat(_.map(_.flatMap(plan, 'files'), (f) => path.join(datafolder, f)));
+    const manifest = splitManifest.read(splitManifest.manifestPath(filepath), {});
+
+    // Entries with a single file are already merged and only need copying to an output directory
+    const merges = _.filter(_.map(plan, (p) => {
+        if (p.files.length <= 1) {
+            return outputdir && p.files.length === 1 ? { fileName: p.files[0], sources: p.files } : undefined;
+        }
+        const merge = { fileName: _mergedFileName(p), sources: p.files };
+        p.files = [merge.fileName];
+        return merge;
+    }));
+    const planpath = path.join(targetfolder, path.basename(filepath));
+    if (outputdir) {
+        const targets = [planpath].concat(_.map(merges, (merge) => path.join(outputdir, merge.fileName)));
+        _checkOutputFiles(targets, inputs, options.force);
+    }
+
+    const transaction = new FileTransaction();
+    return Promise.mapSeries(merges, (merge) => {
+        const records = splitManifest.restoreOrder(manifest, merge.sources,
+            _.map(merge.sources, (f) => _readJsonFile(path.join(datafolder, f)).records));
+        merge.records = records.length;
+        return transaction.writeFile(path.join(targetfolder, merge.fileName), JSON.stringify({ "records": records }, null, 4))
+            .then(() => progress({ operation: 'merge', step: 'write', file: merge.fileName, records: merge.records }));
+    })
+    .then(() => transaction.writeFile(planpath, JSON.stringify(plan, null, 4)))
+    .then(() => transaction.commit())
+    .then(() => ({ plan: planpath, files: _.map(merges, (merge) => ({ file: merge.fileName, sources: merge.sources, records: merge.records })) }))
+    .catch((err) => transaction.rollback().then(() => { throw err; }));
+};
+
+const _validatePlan = (options, progress) => {
+    const filepath = path.resolve(process.cwd(), options.dataplan);
+    if (!_validateFile(filepath)) {
+        throw pluginError({ keyName: 'dataSplitFileNotFound', bundle: 'data_split' });
+    }
+    return planValidator.validatePlan(filepath, (file, records) => {
+        progress({ operation: 'validate', step: 'read', file, records });
+    }).then((result) => {
+        if (result.problems.length > 0) {
+            const error = pluginError({ keyName: 'dataValidateFailed', bundle: 'data_validate' }, [result.problems.length]);
+            error.problems = result.problems;
+            throw error;
+        }
+        return result;
+    });
+};
 
-const _splitFiles = (context) => {
-    const filepath = path.resolve(process.cwd(), context.flags.dataplan);
-    const datafolder = path.dirname(filepath);
+/**
+ * Simulates the import of a plan, rejecting with one problem per failure when it would not go
+ * through: the first @ref that would not resolve, which is where the import stops, and every file
+ * over the record limit.
+ */
+const _simulatePlan = (options, progress) => {
+    const filepath = path.resolve(process.cwd(), options.dataplan);
     if (!_validateFile(filepath)) {
-            throw pluginError(messages.getMessage('dataSplitFileNotFound', [], 'data_split'));
-        //process.exit(1);
-    }
-    let plan = require(filepath);
-    _.forEach(plan, function(p) {
-        _.forEach(p.files, function(f) {
-            _breakupDataFile(datafolder, f);
-            console.log(f);
+        throw pluginError({ keyName: 'dataSplitFileNotFound', bundle: 'data_split' });
+    }
+    return importSimulator.simulatePlan(filepath, RECORD_LIMIT, (file, records) => {
+        progress({ operation: 'simulate', step: 'read', file, records });
+    }).then((result) => {
+        const problems = _.map(result.oversized, (o) => {
+            return { file: o.file, problem: messages.getMessage('simulateOverLimit', [o.records, o.limit], 'data_simulate') };
         });
-        p.files = temparray;
-        _writeFile(filepath, JSON.stringify(plan, null, 4));
+        if (result.unresolved) {
+            problems.unshift({
+                file: result.unresolved.file,
+                record: result.unresolved.record,
+                problem: messages.getMessage('simulateUnresolvedRef', [result.unresolved.ref, result.unresolved.reason], 'data_simulate')
+            });
+        }
+        if (problems.length > 0) {
+            const error = pluginError({ keyName: 'dataSimulateFailed', bundle: 'data_simulate' }, [problems.length]);
+            error.problems = problems;
+            throw error;
+        }
+        return result;
     });
-}
+};
+
+/**
+ * Turns query output into one tree file per sObject in the output directory, linking the records
+ * through @refs, and writes a data plan for them ordered like data:plan orders a directory.
+ * Resolves with the plan written, its entries and one row per file converted.
+ */
+const _convertQueryFiles = (options, progress) => {
+    const sources = _.map(_.compact(_.map(options.queryfiles.split(','), _.trim)), (f) => path.resolve(process.cwd(), f));
+    _.forEach(sources, (source) => {
+        if (!_validateFile(source)) {
+            throw pluginError({ keyName: 'dataConvertFileNotFound', bundle: 'data_convert' }, [source]);
+        }
+    });
+    const outputdir = path.resolve(process.cwd(), options.outputdir);
+    const planpath = path.join(outputdir, options.planname || 'data-plan.json');
+    const queries = _.map(sources, (source) => {
+        const query = queryConverter.readQueryFile(source);
+        progress({ operation: 'convert', step: 'read', file: source, records: query.records.length });
+        return query;
+    });
+    const repeated = _.find(_.groupBy(queries, 'sobject'), (group) => group.length > 1);
+    if (repeated) {
+        throw pluginError({ keyName: 'dataConvertRepeatedSObject', bundle: 'data_convert' }, [repeated[0].sobject, _.map(repeated, 'source').join(', ')],
+            { keyName: 'dataConvertRepeatedSObjectAction', bundle: 'data_convert' });
+    }
+
+    const index = queryConverter.indexRecords(queries);
+    const files = _.map(queries, (query) => {
+        const tally = { linked: 0, kept: 0 };
+        const records = _.map(query.records, (record) => queryConverter.convertRecord(index, record, tally));
+        return {
+            file: `${query.sobject}.json`,
+            source: query.source,
+            sobject: query.sobject,
+            tree: { records },
+            produces: new Set(_.flatMap(records, references.getReferenceIds)),
+            consumes: new Set(_.flatMap(records, references.getConsumedRefs)),
+            records: _.sumBy(records, references.countRecords),
+            linked: tally.linked,
+            kept: tally.kept
+        };
+    });
+    const { plan } = planBuilder.orderFiles(files);
+    const targets = [planpath].concat(_.map(files, (f) => path.join(outputdir, f.file)));
+    _checkOutputFiles(targets, sources, options.force);
+
+    const transaction = new FileTransaction();
+    return Promise.mapSeries(files, (f) => {
+        return transaction.writeFile(path.join(outputdir, f.file), JSON.stringify(f.tree, null, 4))
+            .then(() => progress({ operation: 'convert', step: 'write', file: f.file, records: f.records }));
+    })
+    .then(() => transaction.writeFile(planpath, JSON.stringify(plan, null, 4)))
+    .then(() => transaction.commit())
+    .then(() => ({
+        plan: planpath,
+        entries: plan,
+        files: _.map(files, (f) => _.pick(f, ['source', 'file', 'sobject', 'records', 'linked', 'kept']))
+    }))
+    .catch((err) => transaction.rollback().then(() => { throw err; }));
+};
+
+/**
+ * Turns CSV files into one tree file each in the output directory and writes a data plan for them,
+ * ordered like data:plan orders a directory.  Resolves with the plan written, its entries and one
+ * row per file converted.
+ */
+const _importCsvFiles = (options, progress) => {
+    const sources = _.map(_.compact(_.map(options.csvfiles.split(','), _.trim)), (f) => path.resolve(process.cwd(), f));
+    _.forEach(sources, (source) => {
+        if (!_validateFile(source)) {
+            throw pluginError({ keyName: 'dataCsvFileNotFound', bundle: 'data_fromcsv' }, [source]);
+        }
+    });
+    const mapping = options.mapping ? csvConverter.loadMapping(path.resolve(process.cwd(), options.mapping)) : {};
+    const outputdir = path.resolve(process.cwd(), options.outputdir);
+    const planpath = path.join(outputdir, options.planname || 'data-plan.json');
+
+    const files = _.map(sources, (source) => {
+        const { sobject, records } = csvConverter.readCsvFile(source, mapping[path.basename(source)]);
+        progress({ operation: 'fromcsv', step: 'read', file: source, records: records.length });
+        return {
+            file: `${path.parse(source).name}.json`,
+            source,
+            sobject,
+            tree: { records },
+            produces: new Set(_.flatMap(records, references.getReferenceIds)),
+            consumes: new Set(_.flatMap(records, references.getConsumedRefs)),
+            records: records.length
+        };
+    });
+    const { plan, unresolved } = planBuilder.orderFiles(files);
+    if (unresolved.length > 0) {
+        throw pluginError({ keyName: 'dataCsvUnresolvedRefs', bundle: 'data_fromcsv' }, [unresolved.join(', ')]);
+    }
+    const targets = [planpath].concat(_.map(files, (f) => path.join(outputdir, f.file)));
+    _checkOutputFiles(targets, sources, options.force);
+
+    const transaction = new FileTransaction();
+    return Promise.mapSeries(files, (f) => {
+        return transaction.writeFile(path.join(outputdir, f.file), JSON.stringify(f.tree, null, 4))
+            .then(() => progress({ operation: 'fromcsv', step: 'write', file: f.file, records: f.records }));
+    })
+    .then(() => transaction.writeFile(planpath, JSON.stringify(plan, null, 4)))
+    .then(() => transaction.commit())
+    .then(() => ({ plan: planpath, entries: plan, files: _.map(files, (f) => _.pick(f, ['source', 'file', 'sobject', 'records'])) }))
+    .catch((err) => transaction.rollback().then(() => { throw err; }));
+};
+
+/**
+ * Writes every file of a data plan, or the tree files given, as a CSV file in the output directory.
+ * Files of a plan keep the folders they have under the plan's folder.  Resolves with one row per
+ * file written.
+ */
+const _exportCsvFiles = (options, progress) => {
+    if (_.isNil(options.dataplan) === _.isNil(options.sobjecttreefiles)) {
+        throw pluginError({ keyName: 'dataCsvNoSource', bundle: 'data_tocsv' });
+    }
+    let files;
+    if (options.dataplan) {
+        const { datafolder, plan } = _loadPlan(options);
+        files = _.map(_.uniq(_.flatMap(plan, 'files')), (f) => ({ source: path.join(datafolder, f), name: f }));
+    }
+    else {
+        files = _.map(_.compact(_.map(options.sobjecttreefiles.split(','), _.trim)), (f) => {
+            return { source: path.resolve(process.cwd(), f), name: path.basename(f) };
+        });
+    }
+    _.forEach(files, (f) => {
+        if (!_validateFile(f.source)) {
+            throw pluginError({ keyName: 'dataSplitTreeFileNotFound', bundle: 'data_split' }, [f.source]);
+        }
+        f.file = path.join(path.dirname(f.name), `${path.parse(f.name).name}.csv`);
+    });
+    const mapping = options.mapping ? csvConverter.loadMapping(path.resolve(process.cwd(), options.mapping)) : {};
+    const outputdir = path.resolve(process.cwd(), options.outputdir);
+    _checkOutputFiles(_.map(files, (f) => path.join(outputdir, f.file)), _.map(files, 'source'), options.force);
+
+    const transaction = new FileTransaction();
+    return Promise.mapSeries(files, (f) => {
+        const target = path.join(outputdir, f.file);
+        return csvConverter.writeCsvFile(f.source, transaction.stage(target), mapping[path.basename(f.file)])
+            .catch(transaction.failed(target))
+            .then((written) => {
+                progress({ operation: 'tocsv', step: 'write', file: f.file, records: written.records });
+                return { source: f.source, file: f.file, sobject: written.sobject, records: written.records };
+            });
+    })
+    .then((written) => transaction.commit().then(() => ({ files: written })))
+    .catch((err) => transaction.rollback().then(() => { throw err; }));
+};
+
 /**
- * Describe the utility of your plugin *
+ * Reads every file of a data plan into memory, in plan order along with the entry listing it, for
+ * flattening or nesting their records.
  */
-class Data {
+const _readPlanFiles = (options, operation, progress) => {
+    const { filepath, datafolder, plan } = _loadPlan(options);
+    const outputdir = options.outputdir ? path.resolve(process.cwd(), options.outputdir) : undefined;
+    const targetfolder = outputdir || datafolder;
+    const listed = _.flatMap(plan, (p, entry) => _.map(p.files, (file) => ({ file, entry })));
+    return Promise.mapSeries(listed, (f) => {
+        const records = [];
+        return treeFile.readRecords(path.join(datafolder, f.file), (record) => {
+            const type = _.get(record, 'attributes.type');
+            f.sobject = f.sobject || type;
+            if (type !== f.sobject) {
+                throw pluginError({ keyName: 'dataSplitMixedTypes', bundle: 'data_split' }, [f.file, f.sobject, type],
+                    { keyName: 'dataSplitMixedTypesAction', bundle: 'data_split' });
+            }
+            records.push(record);
+        })
+        .then((count) => {
+            progress({ operation, step: 'read', file: f.file, records: count });
+            return _.assign(f, { source: f.file, records, weight: _.sumBy(records, references.countRecords) });
+        });
+    })
+    .then((files) => ({ filepath, datafolder, outputdir, targetfolder, planpath: path.join(targetfolder, path.basename(filepath)), files }));
+};
+
+/**
+ * Writes the files flattened or nested into their target folder along with a data plan ordered like
+ * data:plan orders a directory.  Files that were not changed are copied when the output goes to its
+ * own directory, and files left without records are dropped from the plan: removed when the plan is
+ * changed in place, and omitted from its own directory otherwise.  Resolves with the plan written, its
+ * entries and one row per file.
+ */
+const _writePlanFiles = (options, state, operation, progress) => {
+    const { filepath, datafolder, outputdir, targetfolder, planpath } = state;
+    _.forEach(state.files, (f) => {
+        f.changed = f.moved > 0 || !f.source || f.weight !== _.sumBy(f.records, references.countRecords);
+    });
+    const files = _.filter(state.files, (f) => f.records.length > 0);
+    const emptied = _.filter(state.files, (f) => f.records.length === 0 && f.moved > 0);
+    const { plan } = planBuilder.orderFiles(_.map(files, (f) => ({
+        file: f.file,
+        sobject: f.sobject,
+        produces: new Set(_.flatMap(f.records, references.getReferenceIds)),
+        consumes: new Set(_.flatMap(f.records, references.getConsumedRefs))
+    })));
+    const inputs = [filepath].concat(_.map(_.filter(state.files, 'source'), (f) => path.join(datafolder, f.source)));
+    const targets = _.map(_.filter(files, (f) => outputdir || !f.source), (f) => path.join(targetfolder, f.file));
+    _checkOutputFiles(outputdir ? [planpath].concat(targets) : targets, inputs, options.force);
+
+    const transaction = new FileTransaction();
+    return Promise.mapSeries(files, (f) => {
+        const target = path.join(targetfolder, f.file);
+        if (f.changed) {
+            return transaction.writeFile(target, JSON.stringify({ records: f.records }, null, 4))
+                .then(() => progress({ operation, step: 'write', file: f.file, records: f.records.length }));
+        }
+        return outputdir && transaction.copyFile(path.join(datafolder, f.file), target)
+            .then(() => progress({ operation, step: 'copy', file: f.file, records: f.records.length }));
+    })
+    .then(() => _.forEach(emptied, (f) => {
+        if (!outputdir) {
+            transaction.remove(path.join(targetfolder, f.file));
+        }
+        progress({ operation, step: outputdir ? 'omit' : 'remove', file: f.file });
+    }))
+    .then(() => transaction.writeFile(planpath, JSON.stringify(plan, null, 4)))
+    .then(() => transaction.commit())
+    .then(() => ({
+        plan: planpath,
+        entries: plan,
+        files: _.map(_.filter(state.files, (f) => f.records.length > 0 || _.includes(emptied, f)), (f) => ({
+            file: f.file,
+            source: f.source || f.parent,
+            sobject: f.sobject,
+            records: f.records.length,
+            moved: f.moved,
+            action: (_.includes(emptied, f) && (outputdir ? 'omit' : 'remove')) || (f.changed && 'write') || (outputdir ? 'copy' : 'keep')
+        }))
+    }))
+    .catch((err) => transaction.rollback().then(() => { throw err; }));
+};
+
+/**
+ * Pulls the nested child records of every file of a data plan out into files of their own, one per
+ * file and child sObject, and writes the files and a data plan reordered for them.
+ */
+const _flattenPlan = (options, progress) => {
+    const relationships = options.relationships ? nesting.loadRelationships(path.resolve(process.cwd(), options.relationships)) : {};
+    return _readPlanFiles(options, 'flatten', progress).then((state) => {
+        const pulled = _.flatMap(state.files, (f) => {
+            const children = nesting.flattenRecords(f.records, f.file, relationships);
+            f.moved = _.sumBy(Array.from(children.values()), 'length');
+            return _.map(Array.from(children), ([sobject, records]) => {
+                return { file: partitioner.partitionName(f.file, sobject), parent: f.file, sobject, records, moved: 0 };
+            });
+        });
+        state.files = state.files.concat(pulled);
+        return _writePlanFiles(options, state, 'flatten', progress);
+    });
+};
+
+/**
+ * Nests the records of a data plan under the records their lookups point at, as the relationships
+ * file names them, and writes the files and a data plan reordered for them.
+ */
+const _nestPlan = (options, progress) => {
+    const relationships = nesting.loadRelationships(path.resolve(process.cwd(), options.relationships));
+    return _readPlanFiles(options, 'nest', progress).then((state) => {
+        const nested = nesting.nestRecords(state.files, relationships, RECORD_LIMIT);
+        _.forEach(state.files, (f, i) => {
+            f.moved = nested[i];
+        });
+        return _writePlanFiles(options, state, 'nest', progress);
+    });
+};
+
+const _generatePlan = (options, progress) => {
+    const directory = path.resolve(process.cwd(), options.directory);
+    if (!_validateFile(directory) || !fs.statSync(directory).isDirectory()) {
+        throw pluginError({ keyName: 'dataPlanDirectoryNotFound', bundle: 'data_plan' }, [directory]);
+    }
+    const planname = options.planname || 'data-plan.json';
+    const planpath = path.join(directory, planname);
+    if (_validateFile(planpath) && !options.force) {
+        throw pluginError({ keyName: 'dataPlanExists', bundle: 'data_plan' }, [planpath],
+            { keyName: 'dataPlanExistsAction', bundle: 'data_plan' });
+    }
+    return planBuilder.buildPlan(directory, [planname], (file, records) => {
+        progress({ operation: 'plan', step: 'read', file, records });
+    }).then((result) => {
+        const transaction = new FileTransaction();
+        return transaction.writeFile(planpath, JSON.stringify(result.plan, null, 4))
+            .then(() => transaction.commit())
+            .catch((err) => transaction.rollback().then(() => { throw err; }))
+            .then(() => ({ plan: planpath, entries: result.plan, skipped: result.skipped }));
+    });
+};
+
+/**
+ * Puts the records of each plan file that mixes sObjects into one file per sObject, then orders the
+ * plan again so every file comes after the files whose referenceIds it uses.  Resolves with the plan,
+ * one row per file written and the new plan entries; a plan without mixed files is left alone.
+ */
+const _partitionFiles = (options, progress) => {
+    const { filepath, datafolder, plan } = _loadPlan(options);
+    const outputdir = options.outputdir ? path.resolve(process.cwd(), options.outputdir) : undefined;
+    const targetfolder = outputdir || datafolder;
+    const planpath = path.join(targetfolder, path.basename(filepath));
+    const sources = _.uniq(_.flatMap(plan, 'files'));
+    const inputs = [filepath].concat(_.map(sources, (f) => path.join(datafolder, f)));
+
+    return Promise.mapSeries(sources, (f) => {
+        return partitioner.describeFile(datafolder, f).then((parts) => {
+            progress({ operation: 'partition', step: 'read', file: f, records: _.sumBy(parts, 'records') });
+            return parts;
+        });
+    })
+    .then((described) => {
+        const mixed = _.filter(described, (parts) => parts.length > 1);
+        const partitioned = _.map(_.flatten(mixed), (part) => {
+            return { source: part.source, file: part.file, sobject: part.sobject, records: part.records };
+        });
+        if (mixed.length === 0) {
+            return { plan: filepath, partitioned, entries: plan };
+        }
+
+        const next = planBuilder.orderFiles(_.flatten(described)).plan;
+        const copies = outputdir ? _.map(_.filter(described, (parts) => parts.length === 1), (parts) => parts[0].file) : [];
+        const targets = _.map(_.map(partitioned, 'file').concat(copies), (f) => path.join(targetfolder, f));
+        _checkOutputFiles(outputdir ? [planpath].concat(targets) : targets, inputs, options.force);
+
+        const transaction = new FileTransaction();
+        return Promise.mapSeries(copies, (f) => transaction.copyFile(path.join(datafolder, f), path.join(targetfolder, f)))
+        .then(() => Promise.mapSeries(mixed, (parts) => {
+            const staged = _.fromPairs(_.map(parts, (part) => [part.sobject, transaction.stage(path.join(targetfolder, part.file))]));
+            return partitioner.writePartitions(path.join(datafolder, parts[0].source), staged)
+                .catch(transaction.failed(path.join(targetfolder, parts[0].source)))
+                .then(() => _.forEach(parts, (part) => {
+                    progress({ operation: 'partition', step: 'write', file: part.file, records: part.records });
+                }));
+        }))
+        .then(() => transaction.writeFile(planpath, JSON.stringify(next, null, 4)))
+        .then(() => transaction.commit())
+        .then(() => ({ plan: planpath, partitioned, entries: next }))
+        .catch((err) => transaction.rollback().then(() => { throw err; }));
+    });
+};
+
+/**
+ * The Data class is the library API of the plugin and needs nothing from the sfdx CLI.  Each
+ * operation takes an options object named like the flags of its command, resolves with a structured
+ * result and emits 'progress' events of { operation, step, file, records } as it reads and writes
+ * files.
+ */
+class Data extends EventEmitter {
     /**
-     * Public members of the Data class
-     * @yourParam {type} description
-     * @returns {Promise}.
+     * Splits the files of a data plan, or the tree files given, into chunks the tree import accepts.
+     * @param {object} options the flags of data:split, such as dataplan, chunksize and outputdir
+     * @returns {Promise} resolves with the split report: the entries of the plan and the files
+     * written, copied, kept and removed
      */
+    split(options) {
+        return Promise.resolve().then(() => _splitFiles(_requireOptions(options, 'split', []), this._progress()));
+    }
 
-    split(context) {
-        let promise = Promise.resolve(_splitFiles(context));
-        return promise;
+    /**
+     * @param {object} options the flags of data:merge: dataplan, outputdir and force
+     * @returns {Promise} resolves with the plan written and the files merged
+     */
+    merge(options) {
+        return Promise.resolve().then(() => _mergeFiles(_requireOptions(options, 'merge', ['dataplan']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:validate: dataplan
+     * @returns {Promise} resolves with what was checked, or rejects listing the problems found
+     */
+    validate(options) {
+        return Promise.resolve().then(() => _validatePlan(_requireOptions(options, 'validate', ['dataplan']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:simulate: dataplan
+     * @returns {Promise} resolves with each step of the simulated import and the saved refs nothing
+     * uses, or rejects listing why the import would fail
+     */
+    simulate(options) {
+        return Promise.resolve().then(() => _simulatePlan(_requireOptions(options, 'simulate', ['dataplan']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:convert: queryfiles, outputdir, planname and force
+     * @returns {Promise} resolves with the plan written, its entries and the tree files converted
+     */
+    convert(options) {
+        return Promise.resolve().then(() => _convertQueryFiles(_requireOptions(options, 'convert', ['queryfiles', 'outputdir']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:fromcsv: csvfiles, outputdir, mapping, planname and force
+     * @returns {Promise} resolves with the plan written, its entries and the tree files written
+     */
+    fromCsv(options) {
+        return Promise.resolve().then(() => _importCsvFiles(_requireOptions(options, 'fromCsv', ['csvfiles', 'outputdir']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:tocsv: dataplan or sobjecttreefiles, outputdir, mapping
+     * and force
+     * @returns {Promise} resolves with the CSV files written
+     */
+    toCsv(options) {
+        return Promise.resolve().then(() => _exportCsvFiles(_requireOptions(options, 'toCsv', ['outputdir']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:flatten: dataplan, relationships, outputdir and force
+     * @returns {Promise} resolves with the plan written, its entries and one row per file
+     */
+    flatten(options) {
+        return Promise.resolve().then(() => _flattenPlan(_requireOptions(options, 'flatten', ['dataplan']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:nest: dataplan, relationships, outputdir and force
+     * @returns {Promise} resolves with the plan written, its entries and one row per file
+     */
+    nest(options) {
+        return Promise.resolve().then(() => _nestPlan(_requireOptions(options, 'nest', ['dataplan', 'relationships']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:plan: directory, planname and force
+     * @returns {Promise} resolves with the plan written, its entries and the files skipped
+     */
+    plan(options) {
+        return Promise.resolve().then(() => _generatePlan(_requireOptions(options, 'plan', ['directory']), this._progress()));
+    }
+
+    /**
+     * @param {object} options the flags of data:partition: dataplan, outputdir and force
+     * @returns {Promise} resolves with the plan written, the files partitioned and the new entries
+     */
+    partition(options) {
+        return Promise.resolve().then(() => _partitionFiles(_requireOptions(options, 'partition', ['dataplan']), this._progress()));
+    }
+
+    _progress() {
+        return (event) => this.emit('progress', event);
     }
 
     getHumanErrorMessage(){ 
@@ -86,19 +1226,10 @@ class Data {
     getHumanSuccessMessage() {
         return 'Your plugin ran successfully!'
     };
-
-    /**
-     * Other public methods in your plugin
-     * @param {string} param desc
-     * @param {string} param desc
-     * @returns {Promise} result value
-     */
-    // TODO - write your own method
-    // delete(alias, group = Alias.Groups.ORGS) {
-    //     return Alias.set(alias, undefined, group);
-    // }
-
 }
 
+Data.RECORD_LIMIT = RECORD_LIMIT;
+Data.BATCH_LIMIT = bulkBatch.BATCH_LIMIT;
+
 module.exports = Data;
 
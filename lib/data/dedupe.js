@@ -0,0 +1,125 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+
+// Private helper functions
+const _invalid = (filepath, reason) => {
+    return pluginError({ keyName: 'dataSplitInvalidDedupe', bundle: 'data_split' }, [filepath, reason]);
+};
+
+/**
+ * Reads a dedupe file, which maps each sObject to the fields that together identify a record:
+ *   { "Account": ["Name", "BillingPostalCode"], "Contact": ["Email"] }
+ * @param {string} filepath the dedupe file
+ * @returns {object} the key fields by sObject, a hash of the file so a change is noticed, and the
+ * survivors, merges and rows of the report, which fill up as the files of a plan are read in order
+ */
+const loadKeys = (filepath) => {
+    if (!fs.existsSync(filepath)) {
+        throw pluginError({ keyName: 'dataSplitDedupeNotFound', bundle: 'data_split' }, [filepath]);
+    }
+    const contents = fs.readFileSync(filepath, 'utf8');
+    let spec;
+    try {
+        spec = JSON.parse(contents);
+    }
+    catch (err) {
+        throw _invalid(filepath, err.message);
+    }
+    if (!_.isPlainObject(spec)) {
+        throw _invalid(filepath, 'it must map each sObject to an array of key fields');
+    }
+    _.forEach(spec, (fields, sobject) => {
+        if (!Array.isArray(fields) || fields.length === 0 || !_.every(fields, (field) => _.isString(field) && field !== '')) {
+            throw _invalid(filepath, `the key of ${sobject} must be a non-empty array of field names`);
+        }
+    });
+    return {
+        keys: spec,
+        hash: crypto.createHash('sha1').update(contents).digest('hex'),
+        survivors: new Map(),
+        merged: new Map(),
+        merges: []
+    };
+};
+
+/**
+ * Checks whether a top-level record duplicates one read before it, in this file or an earlier one.
+ * The first record with a key survives; a later one is a duplicate, and refs to its referenceId are
+ * from then on meant for the survivor.  Records without a referenceId, or whose key fields are all
+ * empty, are never merged.  A duplicate with nested child records is refused, since they would be
+ * lost with it.
+ * @param {object} dedupe from loadKeys
+ * @param {object} record the record
+ * @param {string} source the file the record comes from
+ * @returns {boolean} whether the record is a duplicate to drop
+ */
+const isDuplicate = (dedupe, record, source) => {
+    const sobject = _.get(record, 'attributes.type');
+    const referenceId = _.get(record, 'attributes.referenceId');
+    const fields = dedupe.keys[sobject];
+    if (!fields || _.isNil(referenceId)) {
+        return false;
+    }
+    const values = _.map(fields, (field) => (_.isUndefined(record[field]) ? null : record[field]));
+    if (_.every(values, _.isNil)) {
+        return false;
+    }
+    const key = `${sobject}\0${JSON.stringify(values)}`;
+    const survivor = dedupe.survivors.get(key);
+    if (!survivor) {
+        dedupe.survivors.set(key, { referenceId, source });
+        return false;
+    }
+    if (references.countRecords(record) > 1) {
+        throw pluginError({ keyName: 'dataSplitDedupeNestedRecords', bundle: 'data_split' }, [referenceId, source, survivor.referenceId],
+            { keyName: 'dataSplitDedupeNestedRecordsAction', bundle: 'data_split' });
+    }
+    dedupe.merged.set(referenceId, survivor.referenceId);
+    dedupe.merges.push({
+        sobject,
+        key: _.map(values, (value) => (_.isNil(value) ? '' : value)).join(', '),
+        survivor: survivor.referenceId,
+        survivorSource: survivor.source,
+        duplicate: referenceId,
+        source
+    });
+    return true;
+};
+
+/**
+ * The referenceId a ref ends up pointing at: the survivor's when it points at a duplicate.
+ */
+const survivorOf = (dedupe, ref) => {
+    return dedupe.merged.has(ref) ? dedupe.merged.get(ref) : ref;
+};
+
+/**
+ * Points every @ref of a record and its nested children that names a duplicate at its survivor.
+ * @param {object} dedupe from loadKeys
+ * @param {object} record the record, changed in place
+ * @returns {object} the record
+ */
+const rewriteRefs = (dedupe, record) => {
+    references.walkRecord(record, (r) => {
+        _.forEach(r, (value, field) => {
+            if (field !== 'attributes' && references.isRef(value)) {
+                r[field] = `@${survivorOf(dedupe, value.slice(1))}`;
+            }
+        });
+    });
+    return record;
+};
+
+module.exports = {
+    loadKeys,
+    isDuplicate,
+    survivorOf,
+    rewriteRefs
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const messages = require(path.join(__dirname, '..', 'messages'))();
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+
+const rename = Promise.promisify(fs.rename);
+const unlink = Promise.promisify(fs.unlink);
+const writeFile = Promise.promisify(fs.writeFile);
+const copyFile = Promise.promisify(fs.copyFile);
+
+// Private helper functions
+const _sidePath = (target, suffix) => {
+    return path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.${suffix}`);
+};
+
+const _ignoreMissing = (err) => {
+    if (err.code !== 'ENOENT') {
+        throw err;
+    }
+};
+
+/**
+ * Refuses a target that is a directory, which a rename would move aside whole and could not put a
+ * file in place of.
+ */
+const _checkTarget = (target) => {
+    let stats;
+    try {
+        stats = fs.statSync(target);
+    }
+    catch (err) {
+        _ignoreMissing(err);
+    }
+    if (stats && stats.isDirectory()) {
+        throw pluginError({ keyName: 'dataWriteIsDirectory', bundle: 'data_split' }, [target]);
+    }
+};
+
+/**
+ * Wraps a failed write in a pluginError naming the file, leaving errors that already are one alone.
+ */
+const _writeFailed = (target) => (err) => {
+    if (_.isNil(err.code)) {
+        throw err;
+    }
+    throw pluginError({ keyName: 'dataWriteFailed', bundle: 'data_split' }, [target, err.message]);
+};
+
+/**
+ * Collects file writes and removals so they land together or not at all.  Every file is first written
+ * to a temp file next to its target.  commit() then renames them all into place, keeping a backup of
+ * each file it replaces or removes until every rename succeeded, and rollback() undoes whatever part
+ * of that happened.
+ */
+class FileTransaction {
+
+    constructor() {
+        this.files = [];
+    }
+
+    /**
+     * Adds target to the transaction.
+     * @param {string} target the file to write, which must not be a directory
+     * @returns {string} the temp file to write the contents of target to
+     */
+    stage(target) {
+        _checkTarget(target);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const file = { target, temp: _sidePath(target, 'tmp'), backup: _sidePath(target, 'bak') };
+        this.files.push(file);
+        return file.temp;
+    }
+
+    /**
+     * @param {string} target the file to write
+     * @param {string} contents what to write
+     * @returns {Promise} resolves once the contents are in the temp file
+     */
+    writeFile(target, contents) {
+        return writeFile(this.stage(target), contents).catch(_writeFailed(target));
+    }
+
+    /**
+     * @param {string} source the file to copy
+     * @param {string} target the file to write
+     * @returns {Promise} resolves once the copy is in the temp file
+     */
+    copyFile(source, target) {
+        return copyFile(source, this.stage(target)).catch(_writeFailed(target));
+    }
+
+    /**
+     * Adds the removal of target to the transaction.  The file is only moved aside until commit()
+     * succeeds, so rollback() can put it back.
+     * @param {string} target the file to remove
+     */
+    remove(target) {
+        _checkTarget(target);
+        this.files.push({ target, backup: _sidePath(target, 'bak'), remove: true });
+    }
+
+    /**
+     * A handler for promise rejections that wraps file system errors on target in a pluginError.
+     */
+    failed(target) {
+        return _writeFailed(target);
+    }
+
+    /**
+     * Moves every temp file over its target.  Leaves the backups and renamed files in place when a
+     * rename fails so rollback() can restore them.  Once every rename succeeded the transaction is
+     * done: a backup that cannot be deleted is only warned about and left behind.
+     * @returns {Promise} resolves with the backups left behind
+     */
+    commit() {
+        return Promise.mapSeries(this.files, (file) => {
+            return rename(file.target, file.backup)
+                .then(() => { file.backedUp = true; }, _ignoreMissing)
+                .then(() => !file.remove && rename(file.temp, file.target))
+                .then(() => { file.committed = true; })
+                .catch(_writeFailed(file.target));
+        })
+        .then(() => {
+            const backups = _.map(_.filter(this.files, 'backedUp'), 'backup');
+            this.files = [];
+            return Promise.mapSeries(backups, (backup) => unlink(backup).then(() => undefined, (err) => {
+                if (err.code === 'ENOENT') {
+                    return undefined;
+                }
+                process.emitWarning(messages.getMessage('dataBackupLeftBehind', [backup, err.message], 'data_split'));
+                return backup;
+            }));
+        })
+        .then(_.compact);
+    }
+
+    /**
+     * Restores every file the transaction touched, last first.  Each step is best effort so one
+     * failure does not keep the rest from being restored.
+     * @returns {Promise}
+     */
+    rollback() {
+        const files = this.files;
+        this.files = [];
+        return Promise.mapSeries(_.reverse(files.slice()), (file) => {
+            let undo = Promise.resolve();
+            if (file.backedUp) {
+                undo = rename(file.backup, file.target);
+            }
+            else if (file.committed) {
+                undo = unlink(file.target);
+            }
+            return undo
+                .catch(_.noop)
+                .then(() => file.temp && unlink(file.temp))
+                .catch(_.noop);
+        });
+    }
+}
+
+module.exports = FileTransaction;
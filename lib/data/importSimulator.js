@@ -0,0 +1,149 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const messages = require(path.join(__dirname, '..', 'messages'))();
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+const treeFile = require(path.join(__dirname, 'treeFile'));
+
+// Private helper functions
+const _message = (key, tokens) => {
+    return messages.getMessage(key, tokens, 'data_simulate');
+};
+
+const _recordLabel = (record, index) => {
+    return _.get(record, 'attributes.referenceId') || `#${index + 1}`;
+};
+
+const _readPlan = (planpath) => {
+    let plan;
+    try {
+        plan = JSON.parse(fs.readFileSync(planpath, 'utf8'));
+    }
+    catch (err) {
+        throw pluginError({ keyName: 'dataSimulateInvalidPlan', bundle: 'data_simulate' }, [planpath, err.message],
+            { keyName: 'dataSimulateInvalidPlanAction', bundle: 'data_simulate' });
+    }
+    const broken = Array.isArray(plan) ? _.findIndex(plan, (p) => !_.isPlainObject(p) || !Array.isArray(p.files)) : 0;
+    if (broken >= 0) {
+        const reason = Array.isArray(plan) ? `entry ${broken + 1} has no files array` : 'it is not an array of entries';
+        throw pluginError({ keyName: 'dataSimulateInvalidPlan', bundle: 'data_simulate' }, [planpath, reason],
+            { keyName: 'dataSimulateInvalidPlanAction', bundle: 'data_simulate' });
+    }
+    return plan;
+};
+
+/**
+ * Why a ref did not resolve, worked out once every file is read: the entry does not resolve refs,
+ * or the record it names is in the same file, in a later file, in a file whose entry does not save
+ * refs, or nowhere in the plan.
+ */
+const _unresolvedReason = (unresolved, producers) => {
+    if (unresolved.notResolving) {
+        return _message('simulateRefsNotResolved');
+    }
+    const found = producers.get(unresolved.ref) || [];
+    const earlier = _.find(found, (p) => p.step < unresolved.step);
+    if (earlier) {
+        return _message('simulateProducerNotSaving', [earlier.file]);
+    }
+    const same = _.find(found, (p) => p.step === unresolved.step);
+    if (same) {
+        return _message('simulateProducerSameFile');
+    }
+    const later = _.find(found, (p) => p.step > unresolved.step);
+    return later ? _message('simulateProducerLater', [later.file]) : _message('simulateProducerMissing');
+};
+
+/**
+ * Imports one file into the simulated store: every @ref it uses must already be saved, since the
+ * import resolves them before sending the file, and with saveRefs every referenceId of its records,
+ * nested ones included, is saved once the file is in.
+ */
+const _simulateFile = (datafolder, p, f, state) => {
+    const step = state.steps.length;
+    const row = { entry: state.entry + 1, sobject: p.sobject, file: f, records: 0, resolved: 0, saved: 0 };
+    const produced = [];
+    state.steps.push(row);
+    return treeFile.readRecords(path.join(datafolder, f), (record, index) => {
+        row.records += references.countRecords(record);
+        _.forEach(references.getReferenceIds(record), (id) => {
+            produced.push(id);
+            state.producers.set(id, (state.producers.get(id) || []).concat({ file: f, step }));
+        });
+        _.forEach(references.getConsumedRefs(record), (ref) => {
+            if (p.resolveRefs && state.store.has(ref)) {
+                row.resolved++;
+                state.used.add(ref);
+            }
+            else if (!state.unresolved) {
+                state.unresolved = { file: f, record: _recordLabel(record, index), ref, step, notResolving: !p.resolveRefs };
+            }
+        });
+    })
+    .then((count) => {
+        state.onFile(f, count);
+        if (row.records > state.limit) {
+            state.oversized.push({ file: f, records: row.records, limit: state.limit });
+        }
+        if (p.saveRefs) {
+            _.forEach(produced, (id) => {
+                state.store.set(id, f);
+                state.used.delete(id);
+            });
+            row.saved = produced.length;
+        }
+    });
+};
+
+/**
+ * Walks a data plan the way the tree import does, entry by entry and file by file, with a store of
+ * the referenceIds saved so far standing in for the org.
+ * @param {string} planpath the data plan
+ * @param {number} limit the most records the import accepts in one request
+ * @param {function} onFile called with the name and record count of each file once it is read
+ * @returns {Promise} resolves with one step per file, the first @ref that would not resolve and why,
+ * the files over the limit and, per file, the refs it saves that no later file uses
+ */
+const simulatePlan = (planpath, limit, onFile = _.noop) => {
+    const datafolder = path.dirname(planpath);
+    const plan = _readPlan(planpath);
+    const state = {
+        steps: [], store: new Map(), used: new Set(), producers: new Map(), oversized: [], unresolved: undefined, limit, onFile
+    };
+    return Promise.mapSeries(plan, (p, i) => {
+        state.entry = i;
+        return Promise.mapSeries(p.files, (f) => {
+            if (!fs.existsSync(path.join(datafolder, f))) {
+                throw pluginError({ keyName: 'dataSimulateFileNotFound', bundle: 'data_simulate' }, [f],
+                    { keyName: 'dataSimulateInvalidPlanAction', bundle: 'data_simulate' });
+            }
+            return _simulateFile(datafolder, p, f, state);
+        });
+    })
+    .then(() => {
+        // A saved ref is used when a later file resolves it before another file saves the same id
+        const unused = _.groupBy(_.filter(Array.from(state.store.keys()), (id) => !state.used.has(id)), (id) => state.store.get(id));
+        const unresolved = state.unresolved && _.assign(_.pick(state.unresolved, ['file', 'record', 'ref']), {
+            reason: _unresolvedReason(state.unresolved, state.producers)
+        });
+        return {
+            plan: planpath,
+            entries: plan.length,
+            files: state.steps.length,
+            records: _.sumBy(state.steps, 'records'),
+            steps: state.steps,
+            unresolved: unresolved || null,
+            oversized: state.oversized,
+            unused: _.map(unused, (ids, file) => ({ file, count: ids.length, referenceIds: ids }))
+        };
+    });
+};
+
+module.exports = {
+    simulatePlan
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+
+// The field a rule for '*' stands in for: every field of the sObject without a rule of its own
+const ANY_FIELD = '*';
+
+// The rules whose results keep enough of a value's hash to test guesses of the value against, unless
+// the hash is keyed with a secret seed
+const KEYED_RULES = ['hash', 'email'];
+
+const FIRST_NAMES = ['Alex', 'Blair', 'Casey', 'Dana', 'Eli', 'Frankie', 'Gray', 'Harper', 'Indy', 'Jordan',
+    'Kai', 'Logan', 'Morgan', 'Noel', 'Oakley', 'Parker', 'Quinn', 'Riley', 'Sage', 'Taylor'];
+const LAST_NAMES = ['Abbott', 'Brooks', 'Carter', 'Dalton', 'Ellis', 'Foster', 'Garner', 'Hayes', 'Irwin', 'Jensen',
+    'Keller', 'Lowe', 'Mercer', 'Nash', 'Osborne', 'Pratt', 'Quill', 'Rhodes', 'Sutton', 'Tate'];
+
+// Private helper functions
+const _digest = (seed, kind, value) => {
+    return crypto.createHmac('sha256', seed).update(`${kind}\0${value}`).digest();
+};
+
+const _pick = (list, digest, offset) => {
+    return list[digest.readUInt16BE(offset) % list.length];
+};
+
+const _digits = (digest, offset, count) => {
+    return _.padStart(`${digest.readUInt32BE(offset) % Math.pow(10, count)}`, count, '0');
+};
+
+/**
+ * How each rule masks a value.  Every one but keep and redact derives its result from a keyed hash of
+ * the value, so the same value masks the same way wherever it appears and on every run with the seed.
+ */
+const MASKS = {
+    firstName: (seed, value) => _pick(FIRST_NAMES, _digest(seed, 'name', value), 0),
+    lastName: (seed, value) => _pick(LAST_NAMES, _digest(seed, 'name', value), 2),
+    name: (seed, value) => {
+        const digest = _digest(seed, 'name', value);
+        return `${_pick(FIRST_NAMES, digest, 0)} ${_pick(LAST_NAMES, digest, 2)}`;
+    },
+    email: (seed, value) => `user.${_digest(seed, 'email', value).toString('hex').slice(0, 12)}@example.com`,
+    phone: (seed, value) => {
+        const digest = _digest(seed, 'phone', value);
+        return `555-${_digits(digest, 0, 3)}-${_digits(digest, 4, 4)}`;
+    },
+    hash: (seed, value) => _digest(seed, 'hash', value).toString('hex').slice(0, 16),
+    redact: () => null,
+    keep: _.identity
+};
+
+const _invalid = (filepath, reason) => {
+    return pluginError({ keyName: 'dataSplitInvalidMask', bundle: 'data_split' }, [filepath, reason]);
+};
+
+/**
+ * Reads a mask file, which maps each sObject to the rule for each of its fields, with '*' for the
+ * fields not named:
+ *   { "Contact": { "FirstName": "firstName", "Email": "email", "*": "redact", "AccountId": "keep" } }
+ * @param {string} filepath the mask file
+ * @param {string} seed the key of the hash the masked values are derived from, which the hash and
+ * email rules cannot do without
+ * @returns {{rules: object[], bySObject: object, seed: string, hash: string}} one rule per sObject and
+ * field, each with a count of the values it masked, the same rules by sObject and field, and a hash of
+ * the rules and seed so a change to either is noticed
+ */
+const loadMask = (filepath, seed) => {
+    if (!fs.existsSync(filepath)) {
+        throw pluginError({ keyName: 'dataSplitMaskNotFound', bundle: 'data_split' }, [filepath]);
+    }
+    const contents = fs.readFileSync(filepath, 'utf8');
+    let spec;
+    try {
+        spec = JSON.parse(contents);
+    }
+    catch (err) {
+        throw _invalid(filepath, err.message);
+    }
+    if (!_.isPlainObject(spec) || !_.every(spec, _.isPlainObject)) {
+        throw _invalid(filepath, 'it must map each sObject to an object of field rules');
+    }
+    const rules = _.flatMap(spec, (fields, sobject) => _.map(fields, (rule, field) => {
+        if (!_.has(MASKS, rule)) {
+            throw _invalid(filepath, `unknown rule ${rule} for ${sobject}.${field}, use ${_.keys(MASKS).join(', ')}`);
+        }
+        if (field === 'attributes') {
+            throw _invalid(filepath, `the rules for ${sobject} cannot mask attributes`);
+        }
+        return { sobject, field, rule, count: 0 };
+    }));
+    const unkeyed = _.filter(rules, (rule) => _.includes(KEYED_RULES, rule.rule));
+    if (unkeyed.length > 0 && (_.isNil(seed) || `${seed}` === '')) {
+        throw pluginError({ keyName: 'dataSplitMaskNeedsSeed', bundle: 'data_split' },
+            [filepath, _.map(unkeyed, (rule) => `${rule.sobject}.${rule.field}`).join(', ')],
+            { keyName: 'dataSplitMaskNeedsSeedAction', bundle: 'data_split' });
+    }
+    return {
+        rules,
+        bySObject: _.mapValues(_.groupBy(rules, 'sobject'), (sobjectRules) => _.keyBy(sobjectRules, 'field')),
+        seed: `${seed || ''}`,
+        hash: crypto.createHash('sha1').update(`${contents}\0${seed || ''}`).digest('hex')
+    };
+};
+
+/**
+ * Masks the fields of a record and its nested children, each by its own attributes.type.  The
+ * attributes, @ref values, nested child records and null values are left alone.
+ * @param {object} mask the rules from loadMask
+ * @param {object} record the record, changed in place
+ * @param {boolean} tally whether to count the values each rule masks
+ * @returns {object} the record
+ */
+const applyMask = (mask, record, tally) => {
+    references.walkRecord(record, (r) => {
+        const fields = mask.bySObject[_.get(r, 'attributes.type')];
+        if (!fields) {
+            return;
+        }
+        _.forEach(_.keys(r), (field) => {
+            const value = r[field];
+            const rule = _.has(fields, [field]) ? fields[field] : fields[ANY_FIELD];
+            if (!rule || rule.rule === 'keep' || field === 'attributes' || _.isNil(value) || references.isRef(value)
+                    || references.isChildRelationship(value)) {
+                return;
+            }
+            r[field] = MASKS[rule.rule](mask.seed, _.isString(value) ? value : JSON.stringify(value));
+            if (tally) {
+                rule.count++;
+            }
+        });
+    });
+    return record;
+};
+
+module.exports = {
+    loadMask,
+    applyMask
+};
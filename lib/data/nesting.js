@@ -0,0 +1,168 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+
+// Private helper functions
+const _invalidRelationships = (filepath, reason) => {
+    return pluginError({ keyName: 'dataInvalidRelationships', bundle: 'data_flatten' }, [filepath, reason]);
+};
+
+/**
+ * The lookup field a child record of a relationship points at its parent with.  Without an entry in
+ * the relationships file it is named after the parent's sObject: AccountId for Account children and
+ * Invoice__c for Invoice__c children.
+ */
+const _lookupField = (relationships, parentType, relationship) => {
+    const entry = _.get(relationships, [parentType, relationship]);
+    if (entry) {
+        return entry.field;
+    }
+    return /__c$/.test(parentType) ? parentType : `${parentType}Id`;
+};
+
+/**
+ * Reads a relationships file, which gives the child relationships of each parent sObject as the
+ * sObject and lookup field of their child records:
+ *   { "Account": { "Contacts": "Contact.AccountId", "ChildAccounts": "Account.ParentId" } }
+ * @param {string} filepath the relationships file
+ * @returns {object} each relationship as {sobject, field}, by parent sObject and relationship name
+ */
+const loadRelationships = (filepath) => {
+    if (!fs.existsSync(filepath)) {
+        throw pluginError({ keyName: 'dataRelationshipsNotFound', bundle: 'data_flatten' }, [filepath]);
+    }
+    let spec;
+    try {
+        spec = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    }
+    catch (err) {
+        throw _invalidRelationships(filepath, err.message);
+    }
+    if (!_.isPlainObject(spec) || !_.every(spec, _.isPlainObject)) {
+        throw _invalidRelationships(filepath, 'it must map each parent sObject to its child relationships');
+    }
+    return _.mapValues(spec, (children, parent) => _.mapValues(children, (lookup, relationship) => {
+        const parts = _.isString(lookup) ? lookup.split('.') : [];
+        if (parts.length !== 2 || parts[0] === '' || parts[1] === '') {
+            throw _invalidRelationships(filepath, `${parent}.${relationship} must name the child sObject and lookup field, such as Contact.AccountId`);
+        }
+        return { sobject: parts[0], field: parts[1] };
+    }));
+};
+
+/**
+ * Pulls the nested child records of the records of one tree file out of their parents.  Each child
+ * gets an @ref to its parent in its lookup field instead, and its own children are pulled out the
+ * same way, so every record ends up at the top level.
+ * @param {object[]} records the records of the file, which lose their nested children
+ * @param {string} source the tree file
+ * @param {object} relationships from loadRelationships, if any
+ * @returns {Map} the child records pulled out, by sObject in the order they first appear
+ */
+const flattenRecords = (records, source, relationships) => {
+    const children = new Map();
+    const pullOut = (record) => {
+        _.forEach(_.keys(record), (relationship) => {
+            const value = record[relationship];
+            if (relationship === 'attributes' || !references.isChildRelationship(value)) {
+                return;
+            }
+            const parentType = _.get(record, 'attributes.type');
+            const referenceId = _.get(record, 'attributes.referenceId');
+            if (_.isNil(referenceId)) {
+                throw pluginError({ keyName: 'dataFlattenNoReferenceId', bundle: 'data_flatten' }, [parentType, source, relationship]);
+            }
+            const field = _lookupField(relationships, parentType, relationship);
+            delete record[relationship];
+            _.forEach(value.records, (child) => {
+                const type = _.get(child, 'attributes.type');
+                child[field] = `@${referenceId}`;
+                if (!children.has(type)) {
+                    children.set(type, []);
+                }
+                children.get(type).push(child);
+                pullOut(child);
+            });
+        });
+    };
+    _.forEach(records, pullOut);
+    return children;
+};
+
+/**
+ * Nests records under the records their lookups point at, wherever the relationships file names the
+ * lookup field of their sObject.  A record is nested when its parent is in an earlier entry of the
+ * plan, every other record it uses, nested children included, is in an entry before its parent's,
+ * and the parent's tree stays within the records one request takes.  Files are worked through from
+ * the last, so a record brings the children already nested under it along.
+ * @param {object[]} files in plan order, each with its entry index and records, which are changed
+ * @param {object} relationships from loadRelationships
+ * @param {number} limit the most records a tree can hold
+ * @returns {number[]} the number of records nested from each file
+ */
+const nestRecords = (files, relationships, limit) => {
+    const lookups = {};
+    _.forEach(relationships, (children, parentType) => _.forEach(children, (lookup, relationship) => {
+        lookups[lookup.sobject] = (lookups[lookup.sobject] || []).concat([{ parentType, relationship, field: lookup.field }]);
+    }));
+    // Where each referenceId is: the record naming it, the top level record of its tree and that tree's entry
+    const located = new Map();
+    const locate = (record, root, entry) => {
+        references.walkRecord(record, (r) => {
+            const id = _.get(r, 'attributes.referenceId');
+            if (!_.isNil(id)) {
+                located.set(id, { record: r, root, entry });
+            }
+        });
+    };
+    _.forEach(files, (f) => _.forEach(f.records, (record) => locate(record, record, f.entry)));
+
+    const parentOf = (record, entry) => {
+        const type = _.get(record, 'attributes.type');
+        return _.reduce(lookups[type], (found, lookup) => {
+            const value = record[lookup.field];
+            const parent = !found && references.isRef(value) && located.get(value.slice(1));
+            if (!parent || parent.entry >= entry || _.get(parent.record, 'attributes.type') !== lookup.parentType) {
+                return found;
+            }
+            return _.assign({ lookup }, parent);
+        }, undefined);
+    };
+
+    const counts = [];
+    _.forEachRight(files, (f, i) => {
+        const kept = [];
+        let nested = 0;
+        _.forEach(f.records, (record) => {
+            const parent = parentOf(record, f.entry);
+            const uses = parent && _.without(references.getConsumedRefs(record), record[parent.lookup.field].slice(1));
+            if (!parent || _.some(uses, (ref) => !located.has(ref) || located.get(ref).entry >= parent.entry)
+                    || references.countRecords(parent.root) + references.countRecords(record) > limit) {
+                kept.push(record);
+                return;
+            }
+            delete record[parent.lookup.field];
+            const relationship = parent.lookup.relationship;
+            if (!references.isChildRelationship(parent.record[relationship])) {
+                parent.record[relationship] = { records: [] };
+            }
+            parent.record[relationship].records.push(record);
+            locate(record, parent.root, parent.entry);
+            nested++;
+        });
+        f.records = kept;
+        counts[i] = nested;
+    });
+    return counts;
+};
+
+module.exports = {
+    loadRelationships,
+    flattenRecords,
+    nestRecords
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const path = require('path');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+const treeFile = require(path.join(__dirname, 'treeFile'));
+
+/**
+ * The file the records of one sObject of a tree file go to, named after the file and the sObject.
+ */
+const partitionName = (f, sobject) => {
+    const parsed = path.parse(f);
+    return path.join(parsed.dir, `${parsed.name}-${sobject}${parsed.ext}`);
+};
+
+/**
+ * Reads a tree file and groups what its records produce and consume by their attributes.type, in the
+ * order the sObjects first appear.  Nested child records stay part of their parent's group.
+ * @param {string} datafolder the folder the file is named relative to
+ * @param {string} f the tree file
+ * @returns {Promise} resolves with one part per sObject, each with the file it partitions into when
+ * the file holds more than one sObject and the file itself otherwise
+ */
+const describeFile = (datafolder, f) => {
+    const parts = new Map();
+    return treeFile.readRecords(path.join(datafolder, f), (record, index) => {
+        const sobject = _.get(record, 'attributes.type');
+        if (!_.isString(sobject) || sobject === '') {
+            throw pluginError({ keyName: 'dataPartitionMissingType', bundle: 'data_partition' },
+                [_.get(record, 'attributes.referenceId') || index, f]);
+        }
+        if (!parts.has(sobject)) {
+            parts.set(sobject, { sobject, source: f, records: 0, produces: new Set(), consumes: new Set() });
+        }
+        const part = parts.get(sobject);
+        part.records++;
+        _.forEach(references.getReferenceIds(record), (id) => part.produces.add(id));
+        _.forEach(references.getConsumedRefs(record), (ref) => part.consumes.add(ref));
+    })
+    .then(() => {
+        const described = Array.from(parts.values());
+        _.forEach(described, (part) => {
+            part.file = described.length > 1 ? partitionName(f, part.sobject) : f;
+        });
+        return described;
+    });
+};
+
+/**
+ * Writes the records of a mixed tree file into one file per sObject in a single pass, keeping their
+ * order within each sObject.
+ * @param {string} filepath the tree file to partition
+ * @param {object} targets maps each sObject to the file its records are written to
+ * @returns {Promise} resolves once every file is written
+ */
+const writePartitions = (filepath, targets) => {
+    const writers = _.mapValues(targets, (target) => treeFile.createWriter(target));
+    const endAll = () => Promise.all(_.map(writers, (writer) => writer.end()));
+    return treeFile.readRecords(filepath, (record) => writers[record.attributes.type].write(record))
+        .then(endAll, (err) => endAll().catch(_.noop).then(() => { throw err; }));
+};
+
+module.exports = {
+    partitionName,
+    describeFile,
+    writePartitions
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+const treeFile = require(path.join(__dirname, 'treeFile'));
+
+// Private helper functions
+
+/**
+ * Reads one tree file, working out its sObject from attributes.type and collecting the referenceIds
+ * it produces and the refs it consumes.  Resolves with undefined when the file is not a tree file.
+ */
+const _describeFile = (directory, f, onFile) => {
+    const types = new Set();
+    const produces = new Set();
+    const consumes = new Set();
+    return treeFile.readRecords(path.join(directory, f), (record) => {
+        types.add(_.get(record, 'attributes.type'));
+        _.forEach(references.getReferenceIds(record), (id) => produces.add(id));
+        _.forEach(references.getConsumedRefs(record), (ref) => consumes.add(ref));
+    })
+    .then((count) => {
+        if (count === 0) {
+            return undefined;
+        }
+        onFile(f, count);
+        const sobjects = Array.from(types);
+        if (sobjects.length > 1 || _.isNil(sobjects[0])) {
+            throw pluginError({ keyName: 'dataPlanMixedTypes', bundle: 'data_plan' }, [f, sobjects.join(', ')]);
+        }
+        return { file: f, sobject: sobjects[0], produces, consumes };
+    }, (err) => {
+        if (err.name === 'InvalidDataImport') {
+            return undefined;
+        }
+        throw err;
+    });
+};
+
+/**
+ * The refs that hold a cycle of files together: what each file consumes from the one after it.
+ */
+const _cycleError = (cycle) => {
+    const refs = _.flatMap(cycle, (node, i) => {
+        const producer = cycle[(i + 1) % cycle.length];
+        return _.filter(Array.from(node.consumes), (ref) => producer.produces.has(ref));
+    });
+    return pluginError({ keyName: 'dataPlanCircularReference', bundle: 'data_plan' },
+        [_.map(cycle, 'file').join(', '), refs.join(', ')]);
+};
+
+/**
+ * Orders described tree files into a data plan.  Files producing referenceIds come before the files
+ * consuming them, with saveRefs and resolveRefs set where refs cross files, and neighbouring files of
+ * the same sObject share an entry.  Files at the same depth of the graph keep the order they came in.
+ * @param {object[]} files each with its file name, sobject and the produces and consumes sets of its
+ * referenceIds and refs
+ * @returns {{plan: object[], unresolved: string[]}} the plan, and the refs no file produces, which
+ * are left out of the ordering
+ */
+const orderFiles = (files) => {
+    const producerOf = new Map();
+    _.forEach(files, (file, index) => {
+        file.index = index;
+        file.producers = [];
+        file.referenceIds = Array.from(file.produces);
+        file.produces.forEach((id) => producerOf.set(id, index));
+    });
+    const unresolved = [];
+    _.forEach(files, (file) => {
+        file.consumes.forEach((ref) => {
+            if (!producerOf.has(ref)) {
+                unresolved.push(`${file.file}: @${ref}`);
+            }
+            else if (producerOf.get(ref) !== file.index) {
+                file.producers.push(producerOf.get(ref));
+            }
+        });
+        file.producers = _.uniq(file.producers);
+    });
+
+    const sorted = references.sortGraph(files, _cycleError);
+    const consumedLater = new Set();
+    const saves = [];
+    _.forEachRight(sorted, (file, i) => {
+        // A file that consumes its own referenceIds needs them saved once split
+        saves[i] = _.some(file.referenceIds, (id) => consumedLater.has(id) || file.consumes.has(id));
+        file.consumes.forEach((ref) => consumedLater.add(ref));
+    });
+
+    const plan = [];
+    _.forEach(sorted, (file, i) => {
+        const resolves = file.consumes.size > 0;
+        const last = _.last(plan);
+        if (last && last.sobject === file.sobject) {
+            last.saveRefs = last.saveRefs || saves[i];
+            last.resolveRefs = last.resolveRefs || resolves;
+            last.files.push(file.file);
+        }
+        else {
+            plan.push({ sobject: file.sobject, saveRefs: saves[i], resolveRefs: resolves, files: [file.file] });
+        }
+    });
+    return { plan, unresolved };
+};
+
+/**
+ * Builds a data plan for every tree file in a directory, ordered by orderFiles.
+ * @param {string} directory the directory holding the tree files
+ * @param {string[]} exclude file names to leave out, such as the plan being written
+ * @param {function} onFile called with the name and record count of each tree file once it is read
+ * @returns {Promise} resolves with the plan and the files that were skipped as not tree files
+ */
+const buildPlan = (directory, exclude, onFile = _.noop) => {
+    const names = _.sortBy(_.filter(fs.readdirSync(directory), (f) => {
+        return path.extname(f).toLowerCase() === '.json' && !_.includes(exclude, f)
+            && fs.statSync(path.join(directory, f)).isFile();
+    }));
+
+    return Promise.mapSeries(names, (f) => _describeFile(directory, f, onFile))
+    .then((described) => {
+        const skipped = _.filter(names, (f, i) => !described[i]);
+        const { plan, unresolved } = orderFiles(_.compact(described));
+        if (unresolved.length > 0) {
+            throw pluginError({ keyName: 'dataPlanUnresolvedRefs', bundle: 'data_plan' }, [unresolved.join(', ')]);
+        }
+        return { plan, skipped };
+    });
+};
+
+module.exports = {
+    buildPlan,
+    orderFiles
+};
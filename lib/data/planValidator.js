@@ -0,0 +1,146 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const messages = require(path.join(__dirname, '..', 'messages'))();
+const references = require(path.join(__dirname, 'references'));
+const treeFile = require(path.join(__dirname, 'treeFile'));
+
+// Private helper functions
+const _problem = (file, record, key, tokens) => {
+    return { file, record, problem: messages.getMessage(key, tokens, 'data_validate') };
+};
+
+const _recordLabel = (record, index) => {
+    return _.get(record, 'attributes.referenceId') || `#${index + 1}`;
+};
+
+/**
+ * Checks the fields of a plan entry, returning false when it is too broken to read its files.
+ */
+const _validateEntry = (planpath, p, i, problems) => {
+    const entry = `${i + 1}`;
+    if (!_.isPlainObject(p)) {
+        problems.push(_problem(planpath, undefined, 'validateEntryNotObject', [entry]));
+        return false;
+    }
+    if (!_.isString(p.sobject) || p.sobject === '') {
+        problems.push(_problem(planpath, undefined, 'validateEntryMissingSObject', [entry]));
+    }
+    _.forEach(['saveRefs', 'resolveRefs'], (flag) => {
+        if (!_.isNil(p[flag]) && !_.isBoolean(p[flag])) {
+            problems.push(_problem(planpath, undefined, 'validateEntryInvalidFlag', [entry, flag]));
+        }
+    });
+    if (!Array.isArray(p.files) || p.files.length === 0 || !_.every(p.files, _.isString)) {
+        problems.push(_problem(planpath, undefined, 'validateEntryMissingFiles', [entry]));
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Checks the records of one file, recording the referenceIds it defines in seen.  Refs must already
+ * be in saved, which holds what earlier files of entries with saveRefs make available.
+ */
+const _validateFile = (datafolder, p, f, state) => {
+    const { problems, seen, saved } = state;
+    const filepath = path.join(datafolder, f);
+    if (!fs.existsSync(filepath)) {
+        problems.push(_problem(f, undefined, 'validateFileNotFound'));
+        return Promise.resolve([]);
+    }
+    const produced = [];
+    return treeFile.readRecords(filepath, (record, index) => {
+        const label = _recordLabel(record, index);
+        state.records++;
+        references.walkRecord(record, (r) => {
+            const type = _.get(r, 'attributes.type');
+            const id = _.get(r, 'attributes.referenceId');
+            const rlabel = id || label;
+            if (!_.isString(type) || type === '') {
+                problems.push(_problem(f, rlabel, 'validateRecordMissingType'));
+            }
+            else if (r === record && _.isString(p.sobject) && type !== p.sobject) {
+                problems.push(_problem(f, rlabel, 'validateRecordWrongSObject', [type, p.sobject]));
+            }
+            if (!_.isString(id) || id === '') {
+                problems.push(_problem(f, label, 'validateRecordMissingReferenceId'));
+                return;
+            }
+            if (seen.has(id)) {
+                problems.push(_problem(f, id, 'validateDuplicateReferenceId', [seen.get(id)]));
+            }
+            else {
+                seen.set(id, f);
+            }
+            produced.push(id);
+        });
+        _.forEach(references.getConsumedRefs(record), (ref) => {
+            if (!saved.has(ref)) {
+                problems.push(_problem(f, label, 'validateUnresolvedRef', [ref]));
+            }
+            else if (!p.resolveRefs) {
+                problems.push(_problem(f, label, 'validateRefsNotResolved', [ref]));
+            }
+        });
+    })
+    .then((count) => {
+        state.onFile(f, count);
+        return produced;
+    }, (err) => {
+        problems.push(_problem(f, undefined, 'validateFileInvalid', [err.message]));
+        return [];
+    });
+};
+
+/**
+ * Checks a data plan and its tree files offline, the way the tree import will read them.
+ * @param {string} planpath the data plan
+ * @param {function} onFile called with the name and record count of each file once it is checked
+ * @returns {Promise} resolves with the counts of what was checked and every problem found, each
+ * naming the file and, when there is one, the record it is about
+ */
+const validatePlan = (planpath, onFile = _.noop) => {
+    const datafolder = path.dirname(planpath);
+    const state = { problems: [], seen: new Map(), saved: new Set(), records: 0, onFile };
+    const result = () => {
+        return { plan: planpath, entries: plan.length, files: _.sumBy(plan, (p) => _.size(p && p.files)), records: state.records, problems: state.problems };
+    };
+    let plan;
+    try {
+        plan = JSON.parse(fs.readFileSync(planpath, 'utf8'));
+    }
+    catch (err) {
+        plan = [];
+        state.problems.push(_problem(planpath, undefined, 'validateFileInvalid', [err.message]));
+        return Promise.resolve(result());
+    }
+    if (!Array.isArray(plan)) {
+        plan = [];
+        state.problems.push(_problem(planpath, undefined, 'validatePlanNotArray'));
+        return Promise.resolve(result());
+    }
+
+    return Promise.mapSeries(plan, (p, i) => {
+        if (!_validateEntry(planpath, p, i, state.problems)) {
+            return undefined;
+        }
+        return Promise.mapSeries(p.files, (f) => {
+            return _validateFile(datafolder, p, f, state).then((produced) => {
+                // Refs saved by this file are there for every file imported after it
+                if (p.saveRefs) {
+                    _.forEach(produced, (id) => state.saved.add(id));
+                }
+            });
+        });
+    })
+    .then(result);
+};
+
+module.exports = {
+    validatePlan
+};
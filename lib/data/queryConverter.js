@@ -0,0 +1,154 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+
+// Fields the org sets itself, which the tree import refuses or ignores
+const SYSTEM_FIELDS = ['Id', 'IsDeleted', 'MasterRecordId', 'CreatedById', 'CreatedDate', 'LastModifiedById',
+    'LastModifiedDate', 'SystemModstamp', 'LastActivityDate', 'LastViewedDate', 'LastReferencedDate'];
+
+// A 15 or 18 character record Id
+const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+// Private helper functions
+const _invalid = (filepath, reason) => {
+    return pluginError({ keyName: 'dataConvertInvalidQueryFile', bundle: 'data_convert' }, [filepath, reason]);
+};
+
+/**
+ * The records of a subquery or of the query itself: an object with a records array, as both the
+ * query API and force:data:soql:query return them.
+ */
+const _isQueryResult = (value) => {
+    return _.isPlainObject(value) && Array.isArray(value.records);
+};
+
+/**
+ * A parent relationship, such as Owner.Name, which comes back as a record of its own.
+ */
+const _isParentRecord = (value) => {
+    return _.isPlainObject(value) && _.isPlainObject(value.attributes) && !_isQueryResult(value);
+};
+
+const _idKey = (id) => {
+    return `${id}`.slice(0, 15);
+};
+
+/**
+ * Walks the records of a query result and those of its subqueries.
+ */
+const _walkRecords = (records, visitor) => {
+    _.forEach(records, (record) => {
+        visitor(record);
+        _.forEach(record, (value, field) => {
+            if (field !== 'attributes' && _isQueryResult(value)) {
+                _walkRecords(value.records, visitor);
+            }
+        });
+    });
+};
+
+/**
+ * Reads the output of force:data:soql:query --json, or the plain result of a query, and checks that
+ * its records are all of one sObject.
+ * @param {string} filepath the query output
+ * @returns {{source: string, sobject: string, records: object[]}} the records of the query
+ */
+const readQueryFile = (filepath) => {
+    let output;
+    try {
+        output = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    }
+    catch (err) {
+        throw _invalid(filepath, err.message);
+    }
+    const result = _isQueryResult(_.get(output, 'result')) ? output.result : output;
+    if (!_isQueryResult(result)) {
+        throw _invalid(filepath, 'it has no records array');
+    }
+    const types = _.uniq(_.map(result.records, 'attributes.type'));
+    if (types.length !== 1 || !_.isString(types[0])) {
+        throw _invalid(filepath, `its records must all have the same attributes.type, found ${types.join(', ') || 'none'}`);
+    }
+    return { source: filepath, sobject: types[0], records: result.records };
+};
+
+/**
+ * Gives every record of the queries, subquery records included, a referenceId named after its
+ * sObject and numbered in the order the records come.  Also finds the relationship fields of each
+ * sObject, since a record without a parent or subquery records has a plain null in their place.
+ * @param {object[]} queries from readQueryFile
+ * @returns {{ids: Map, relationships: object}} the referenceId of each record by the 15 character
+ * form of its Id, and the relationship field names of each sObject
+ */
+const indexRecords = (queries) => {
+    const ids = new Map();
+    const relationships = {};
+    const counters = {};
+    _.forEach(queries, (query) => _walkRecords(query.records, (record) => {
+        const type = _.get(record, 'attributes.type');
+        counters[type] = (counters[type] || 0) + 1;
+        const referenceId = `${type}Ref${counters[type]}`;
+        record.attributes.referenceId = referenceId;
+        if (_.isString(record.Id)) {
+            ids.set(_idKey(record.Id), referenceId);
+        }
+        _.forEach(record, (value, field) => {
+            if (field !== 'attributes' && (_isQueryResult(value) || _isParentRecord(value))) {
+                relationships[type] = _.union(relationships[type], [field]);
+            }
+        });
+    }));
+    return { ids, relationships };
+};
+
+/**
+ * Turns a queried record into a tree record: attributes keep only the type and referenceId, system
+ * fields and parent relationships are left out, subqueries become nested child records, and a lookup
+ * to a record of the data set becomes an @ref to it.  A nested record drops the lookup to its parent,
+ * which the import fills in from the nesting.
+ * @param {object} index from indexRecords
+ * @param {object} record the queried record
+ * @param {object} tally counts the lookups linked and the Ids kept, since their record is not in the set
+ * @param {string} parentId the Id of the record this one is nested in
+ * @returns {object} the tree record
+ */
+const convertRecord = (index, record, tally, parentId) => {
+    const ids = index.ids;
+    const converted = { attributes: _.pick(record.attributes, ['type', 'referenceId']) };
+    const relationships = index.relationships[record.attributes.type];
+    _.forEach(record, (value, field) => {
+        if (field === 'attributes' || _.includes(SYSTEM_FIELDS, field) || _isParentRecord(value)) {
+            return;
+        }
+        if (_isQueryResult(value)) {
+            converted[field] = { records: _.map(value.records, (child) => convertRecord(index, child, tally, record.Id)) };
+            return;
+        }
+        if (_.isNil(value) && _.includes(relationships, field)) {
+            return;
+        }
+        if (_.isString(value) && ID_PATTERN.test(value) && (/Id$/.test(field) || /__c$/.test(field))) {
+            if (parentId && _idKey(value) === _idKey(parentId)) {
+                return;
+            }
+            if (ids.has(_idKey(value))) {
+                converted[field] = `@${ids.get(_idKey(value))}`;
+                tally.linked++;
+                return;
+            }
+            tally.kept++;
+        }
+        converted[field] = value;
+    });
+    return converted;
+};
+
+module.exports = {
+    readQueryFile,
+    indexRecords,
+    convertRecord
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+const path = require('path');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+const treeFile = require(path.join(__dirname, 'treeFile'));
+
+/**
+ * How each scheme names the referenceIds of a file: after the file, keeping the old id behind it, or
+ * by sObject with a number that counts up across the plan.
+ */
+const SCHEMES = {
+    prefix: (renaming, f, id) => `${_.trim(path.join(path.dirname(f), path.parse(f).name).replace(/[^A-Za-z0-9]+/g, '_'), '_')}_${id}`,
+    sequential: (renaming, f, id, type) => {
+        let next;
+        do {
+            renaming.counters[type] = (renaming.counters[type] || 0) + 1;
+            next = `${type}Ref${renaming.counters[type]}`;
+        } while (_.some(renaming.producers.get(next), (p) => !renaming.files.has(p.file)));
+        return next;
+    }
+};
+
+// Private helper functions
+const _shown = (ids) => {
+    return ids.length > 5 ? `${ids.slice(0, 5).join(', ')} and ${ids.length - 5} more` : ids.join(', ');
+};
+
+/**
+ * Checks the scheme given with --referenceids.
+ * @param {string} scheme prefix or sequential
+ * @returns {object} the renaming, which scan fills in before any file is split
+ */
+const createRenaming = (scheme) => {
+    if (!_.has(SCHEMES, scheme)) {
+        throw pluginError({ keyName: 'dataSplitInvalidIdScheme', bundle: 'data_split' }, [scheme, _.keys(SCHEMES).join(', ')]);
+    }
+    return { scheme, hash: scheme, files: new Map(), positions: new Map(), producers: new Map(), counters: {} };
+};
+
+/**
+ * Reads the referenceIds every file of the plan produces and gives those of the renamed files their
+ * new names.  A file that is not renamed keeps its ids, and refs can still resolve to them.  The ids
+ * that collide before renaming are kept for the report.
+ * @param {object} renaming from createRenaming
+ * @param {string} datafolder the folder the plan's files are relative to
+ * @param {string[]} files every file of the plan, in plan order
+ * @param {function} renamed whether a file gets new referenceIds
+ * @param {function} onFile called with the name and record count of each file once it is read
+ * @returns {Promise} resolves with the renaming
+ */
+const scan = (renaming, datafolder, files, renamed, onFile = _.noop) => {
+    return Promise.mapSeries(files, (f, position) => {
+        const found = [];
+        return treeFile.readRecords(path.join(datafolder, f), (record) => {
+            references.walkRecord(record, (r) => {
+                const id = _.get(r, 'attributes.referenceId');
+                if (!_.isNil(id)) {
+                    found.push({ id, type: _.get(r, 'attributes.type') });
+                }
+            });
+        })
+        .then((count) => {
+            renaming.positions.set(f, position);
+            _.forEach(found, (item) => {
+                const producers = renaming.producers.get(item.id) || [];
+                renaming.producers.set(item.id, producers.concat({ file: f, position }));
+            });
+            if (renamed(f)) {
+                renaming.files.set(f, _.uniqBy(found, 'id'));
+            }
+            onFile(f, count);
+        });
+    })
+    .then(() => {
+        renaming.collisions = [];
+        renaming.producers.forEach((producers, id) => {
+            if (producers.length > 1) {
+                renaming.collisions.push({ referenceId: id, sources: _.uniq(_.map(producers, 'file')) });
+            }
+        });
+        // Names are handed out once every id is known, so a new one never takes an id a kept file uses
+        renaming.files.forEach((found, f) => {
+            renaming.files.set(f, new Map(_.map(found, (item) => [item.id, SCHEMES[renaming.scheme](renaming, f, item.id, item.type)])));
+        });
+        return renaming;
+    });
+};
+
+/**
+ * The referenceId a ref in file f ends up with.  Like the import, a ref names the record of that id
+ * in the same file, or otherwise the last one saved before it in plan order.
+ */
+const resolveRef = (renaming, f, ref) => {
+    const position = renaming.positions.get(f);
+    const producer = _.findLast(renaming.producers.get(ref), (p) => p.position <= position);
+    const ids = producer && renaming.files.get(producer.file);
+    return ids ? ids.get(ref) : ref;
+};
+
+/**
+ * Gives a record of file f and its nested children their new referenceIds and points their @refs at
+ * the new ids of the records they name.
+ * @param {object} renaming from scan
+ * @param {string} f the file the record comes from
+ * @param {object} record the record, changed in place
+ * @returns {object} the record
+ */
+const renameRecord = (renaming, f, record) => {
+    const ids = renaming.files.get(f);
+    references.walkRecord(record, (r) => {
+        _.forEach(r, (value, field) => {
+            if (field === 'attributes') {
+                if (ids && ids.has(value.referenceId)) {
+                    value.referenceId = ids.get(value.referenceId);
+                }
+            }
+            else if (references.isRef(value)) {
+                r[field] = `@${resolveRef(renaming, f, value.slice(1))}`;
+            }
+        });
+    });
+    return record;
+};
+
+/**
+ * The referenceIds produced more than once across the chunks of a plan.
+ * @param {object[]} chunks every chunk of the plan, each with the source it comes from and the ids
+ * it produces
+ * @returns {object[]} one row per id with the sources that produce it
+ */
+const findCollisions = (chunks) => {
+    const sources = new Map();
+    const counts = new Map();
+    _.forEach(chunks, (chunk) => {
+        _.forEach(chunk.produces, (id) => {
+            counts.set(id, (counts.get(id) || 0) + 1);
+            sources.set(id, _.union(sources.get(id) || [], [chunk.source]));
+        });
+    });
+    const collisions = [];
+    counts.forEach((count, id) => {
+        if (count > 1) {
+            collisions.push({ referenceId: id, sources: sources.get(id) });
+        }
+    });
+    return collisions;
+};
+
+/**
+ * Throws when referenceIds collide, naming the first few of them and where they come from.
+ */
+const checkCollisions = (collisions) => {
+    if (collisions.length > 0) {
+        const shown = _shown(_.map(collisions, (c) => `${c.referenceId} (${c.sources.join(', ')})`));
+        throw pluginError({ keyName: 'dataSplitReferenceIdCollision', bundle: 'data_split' }, [shown],
+            { keyName: 'dataSplitReferenceIdCollisionAction', bundle: 'data_split' });
+    }
+};
+
+module.exports = {
+    createRenaming,
+    scan,
+    resolveRef,
+    renameRecord,
+    findCollisions,
+    checkCollisions
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+const path = require('path');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+
+const REF_PREFIX = '@';
+
+// Private helper functions
+const _isRef = (value) => {
+    return _.isString(value) && value.length > 1 && value.startsWith(REF_PREFIX);
+};
+
+const _isChildRelationship = (value) => {
+    return _.isPlainObject(value) && Array.isArray(value.records);
+};
+
+/**
+ * Walks a record and any nested child relationships, calling visitor for every record found.
+ */
+const _walkRecord = (record, visitor) => {
+    visitor(record);
+    _.forEach(record, (value, field) => {
+        if (field !== 'attributes' && _isChildRelationship(value)) {
+            _.forEach(value.records, (child) => _walkRecord(child, visitor));
+        }
+    });
+};
+
+/**
+ * The referenceIds defined by a record, including those of its nested children.
+ */
+const _getReferenceIds = (record) => {
+    const ids = [];
+    _walkRecord(record, (r) => {
+        const id = _.get(r, 'attributes.referenceId');
+        if (!_.isNil(id)) {
+            ids.push(id);
+        }
+    });
+    return ids;
+};
+
+/**
+ * The referenceIds a record (or one of its nested children) points at through @ref values.
+ */
+const _getConsumedRefs = (record) => {
+    const refs = [];
+    _walkRecord(record, (r) => {
+        _.forEach(r, (value, field) => {
+            if (field !== 'attributes' && _isRef(value)) {
+                refs.push(value.slice(REF_PREFIX.length));
+            }
+        });
+    });
+    return _.uniq(refs);
+};
+
+/**
+ * The number of records in a record's tree: the record itself plus all of its nested children.
+ * The tree import counts every one of them against its per-request limit.
+ */
+const _countRecords = (record) => {
+    let count = 0;
+    _walkRecord(record, () => { count++; });
+    return count;
+};
+
+/**
+ * The node for a record in the dependency graph: the referenceIds it defines, those it consumes and
+ * the number of records in its tree.
+ */
+const _describeRecord = (record, index) => {
+    return { index, referenceIds: _getReferenceIds(record), refs: _getConsumedRefs(record), weight: _countRecords(record) };
+};
+
+/**
+ * Links the nodes of a single tree file, giving each the indexes of the records in the same file
+ * that produce the referenceIds it consumes.
+ */
+const _linkGraph = (nodes) => {
+    const producerIndex = new Map();
+    _.forEach(nodes, (node) => {
+        _.forEach(node.referenceIds, (id) => producerIndex.set(id, node.index));
+    });
+    _.forEach(nodes, (node) => {
+        node.producers = _.uniq(_.filter(_.map(node.refs, (ref) => producerIndex.get(ref)),
+            (i) => !_.isNil(i) && i !== node.index));
+    });
+    return nodes;
+};
+
+/**
+ * Builds the dependency graph between the records of a single tree file.  Each node keeps its record
+ * along with the referenceIds it defines and consumes and the indexes of its producers.
+ */
+const _buildGraph = (records) => {
+    return _linkGraph(_.map(records, (record, index) => _.assign(_describeRecord(record, index), { record })));
+};
+
+/**
+ * Orders the nodes in layers so every producer comes before its consumers: records without a
+ * producer in the file first, then the records that only need those, and so on.  The original order
+ * is kept within each layer, which lets the chunks pack full while still splitting between layers.
+ * Throws when the records reference each other in a cycle, using cycleError when given to build the
+ * error from the nodes in the cycle, each a consumer of the one after it.
+ */
+const _sortGraph = (nodes, cycleError) => {
+    const depths = new Uint32Array(nodes.length);
+    const waiting = Uint32Array.from(nodes, (node) => node.producers.length);
+    const consumers = _.map(nodes, () => []);
+    _.forEach(nodes, (node) => _.forEach(node.producers, (p) => consumers[p].push(node.index)));
+
+    // Kahn's algorithm: a node is placed once all of its producers are, one layer below the deepest
+    const ready = _.filter(_.map(nodes, 'index'), (i) => waiting[i] === 0);
+    for (let next = 0; next < ready.length; next++) {
+        const i = ready[next];
+        _.forEach(consumers[i], (c) => {
+            depths[c] = Math.max(depths[c], depths[i] + 1);
+            if (--waiting[c] === 0) {
+                ready.push(c);
+            }
+        });
+    }
+
+    if (ready.length < nodes.length) {
+        // Every node left waits on another node left, so following those producers comes back round
+        const seen = new Map();
+        let node = _.find(nodes, (n) => waiting[n.index] > 0);
+        while (!seen.has(node.index)) {
+            seen.set(node.index, seen.size);
+            node = nodes[_.find(node.producers, (p) => waiting[p] > 0)];
+        }
+        const trail = Array.from(seen.keys()).map((i) => nodes[i]);
+        const cycle = trail.slice(seen.get(node.index));
+        if (cycleError) {
+            throw cycleError(cycle);
+        }
+        throw pluginError({ keyName: 'dataSplitCircularReference', bundle: 'data_split' },
+            [_.flatMap(cycle, (n) => n.referenceIds).join(', ')]);
+    }
+    return _.sortBy(nodes, (node) => depths[node.index]);
+};
+
+/**
+ * Cuts the sorted nodes into chunks of at most limits.chunkSize records, counting every record in
+ * each node's tree, and, when limits.maxBytes is set, at most that many bytes (using each node's
+ * bytes and the fixed limits.overhead of a file).  A chunk is also closed early when a record
+ * depends on a producer already in it, so producers always land in an earlier chunk.
+ */
+const _chunkGraph = (nodes, limits) => {
+    const chunks = [];
+    let current = [];
+    let members = {};
+    let count = 0;
+    let bytes = limits.overhead || 0;
+    _.forEach(nodes, (node) => {
+        const weight = node.weight || 1;
+        const dependsOnCurrent = _.some(node.producers, (p) => members[p]);
+        const overBytes = limits.maxBytes && bytes + node.bytes > limits.maxBytes;
+        if (current.length > 0 && (count + weight > limits.chunkSize || overBytes || dependsOnCurrent)) {
+            chunks.push(current);
+            current = [];
+            members = {};
+            count = 0;
+            bytes = limits.overhead || 0;
+        }
+        current.push(node);
+        members[node.index] = true;
+        count += weight;
+        bytes += node.bytes || 0;
+    });
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+    return chunks;
+};
+
+module.exports = {
+    isRef: _isRef,
+    isChildRelationship: _isChildRelationship,
+    walkRecord: _walkRecord,
+    getReferenceIds: _getReferenceIds,
+    getConsumedRefs: _getConsumedRefs,
+    countRecords: _countRecords,
+    describeRecord: _describeRecord,
+    linkGraph: _linkGraph,
+    buildGraph: _buildGraph,
+    sortGraph: _sortGraph,
+    chunkGraph: _chunkGraph
+};
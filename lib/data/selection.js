@@ -0,0 +1,132 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+
+// How each filter operator compares a field's value with the operand
+const OPERATORS = {
+    equals: (value, operand) => _.isEqual(value, operand),
+    contains: (value, operand) => !_.isNil(value) && `${value}`.includes(`${operand}`),
+    in: (value, operand) => _.some(operand, (candidate) => _.isEqual(value, candidate))
+};
+
+// Private helper functions
+const _invalid = (filepath, reason) => {
+    return pluginError({ keyName: 'dataSplitInvalidFilter', bundle: 'data_split' }, [filepath, reason]);
+};
+
+/**
+ * Reads a filter file, which maps each sObject to conditions on its fields that a record must all
+ * meet to be kept:
+ *   { "Account": { "Industry": { "equals": "Energy" }, "Type": { "in": ["Customer", "Partner"] } },
+ *     "Contact": { "Email": { "contains": "@example.com" } } }
+ */
+const _loadFilters = (filepath) => {
+    if (!fs.existsSync(filepath)) {
+        throw pluginError({ keyName: 'dataSplitFilterNotFound', bundle: 'data_split' }, [filepath]);
+    }
+    const contents = fs.readFileSync(filepath, 'utf8');
+    let spec;
+    try {
+        spec = JSON.parse(contents);
+    }
+    catch (err) {
+        throw _invalid(filepath, err.message);
+    }
+    if (!_.isPlainObject(spec) || !_.every(spec, _.isPlainObject)) {
+        throw _invalid(filepath, 'it must map each sObject to an object of field conditions');
+    }
+    const bySObject = _.mapValues(spec, (fields, sobject) => _.map(fields, (condition, field) => {
+        const operator = _.head(_.keys(condition));
+        if (!_.isPlainObject(condition) || _.size(condition) !== 1 || !_.has(OPERATORS, operator)) {
+            throw _invalid(filepath, `${sobject}.${field} needs one of ${_.keys(OPERATORS).join(', ')}`);
+        }
+        if (operator === 'in' && !Array.isArray(condition.in)) {
+            throw _invalid(filepath, `in for ${sobject}.${field} needs an array of values`);
+        }
+        return { field, operator, operand: condition[operator] };
+    }));
+    return { bySObject, hash: crypto.createHash('sha1').update(contents).digest('hex') };
+};
+
+/**
+ * Reads --sample: a number of records, or a percentage of them when it ends in %.
+ */
+const _parseSample = (sample) => {
+    const text = `${sample}`.trim();
+    const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(text);
+    const amount = match ? Number(match[1]) : NaN;
+    if (!match || (match[2] === '' && !Number.isInteger(amount)) || (match[2] === '%' && amount > 100)) {
+        throw pluginError({ keyName: 'dataSplitInvalidSample', bundle: 'data_split' }, [sample]);
+    }
+    return match[2] === '%' ? { percent: amount } : { count: amount };
+};
+
+/**
+ * Loads what decides which records a split keeps.
+ * @param {object} options the split options, of which filter, sample and seed are used
+ * @returns {object} the filters and sample, a hash of them and the seed so a change is noticed, and
+ * the set of referenceIds dropped so far, which grows as the files of a plan are selected in order
+ */
+const loadSelection = (options) => {
+    const filters = options.filter ? _loadFilters(path.resolve(process.cwd(), options.filter)) : undefined;
+    const sample = _.isNil(options.sample) ? undefined : _parseSample(options.sample);
+    const seed = `${options.seed || ''}`;
+    return {
+        filters: filters ? filters.bySObject : {},
+        sample,
+        seed,
+        hash: crypto.createHash('sha1').update(JSON.stringify([filters && filters.hash, sample, seed])).digest('hex'),
+        dropped: new Set()
+    };
+};
+
+/**
+ * Whether a record meets every condition for its sObject.  Only the record itself is checked; its
+ * nested children are kept or dropped along with it.
+ */
+const matches = (selection, record) => {
+    const conditions = selection.filters[_.get(record, 'attributes.type')];
+    return _.every(conditions, (condition) => OPERATORS[condition.operator](record[condition.field], condition.operand));
+};
+
+/**
+ * Decides which records of a file are dropped, marking each dropped node with the reason.  Nodes
+ * already marked 'filter' stay dropped.  The sample is then taken among the other records of the file,
+ * leaving out those that use a record an earlier file dropped, ranked by a keyed hash so the same seed
+ * picks the same records.  Finally every record that uses a dropped record, in this file or an earlier
+ * one, is dropped as a 'dependent', so a sample can keep fewer records than it asked for.
+ * @param {object[]} sorted the nodes of the file in layered order, so producers come first
+ * @param {object} selection from loadSelection
+ * @param {string} source the file, which keys the ranking of records without a referenceId
+ */
+const select = (sorted, selection, source) => {
+    if (selection.sample) {
+        const candidates = _.filter(sorted, (node) => !node.dropped && !_.some(node.refs, (ref) => selection.dropped.has(ref)));
+        const keep = _.isUndefined(selection.sample.count)
+            ? Math.round(candidates.length * selection.sample.percent / 100) : selection.sample.count;
+        const rank = (node) => {
+            return crypto.createHmac('sha256', selection.seed)
+                .update(node.referenceIds[0] || `${source}#${node.index}`).digest('hex');
+        };
+        _.forEach(_.sortBy(candidates, rank).slice(keep), (node) => { node.dropped = 'sample'; });
+    }
+    _.forEach(sorted, (node) => {
+        if (!node.dropped && _.some(node.refs, (ref) => selection.dropped.has(ref))) {
+            node.dropped = 'dependent';
+        }
+        if (node.dropped) {
+            _.forEach(node.referenceIds, (id) => selection.dropped.add(id));
+        }
+    });
+};
+
+module.exports = {
+    loadSelection,
+    matches,
+    select
+};
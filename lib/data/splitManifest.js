@@ -0,0 +1,182 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const MANIFEST_VERSION = 1;
+
+// Private helper functions
+const _transformHash = (limits) => {
+    return limits.rules ? limits.rules.hash : null;
+};
+
+const _maskHash = (limits) => {
+    return limits.mask ? limits.mask.hash : null;
+};
+
+const _selectionHash = (limits) => {
+    return limits.selection ? limits.selection.hash : null;
+};
+
+const _dedupeHash = (limits) => {
+    return limits.dedupe ? limits.dedupe.hash : null;
+};
+
+const _idSchemeHash = (limits) => {
+    return limits.ids ? limits.ids.hash : null;
+};
+
+const _emptyManifest = (limits) => {
+    return {
+        version: MANIFEST_VERSION,
+        chunkSize: limits.chunkSize,
+        maxBytes: limits.maxBytes || null,
+        transform: _transformHash(limits),
+        mask: _maskHash(limits),
+        selection: _selectionHash(limits),
+        dedupe: _dedupeHash(limits),
+        referenceIds: _idSchemeHash(limits),
+        sources: {}
+    };
+};
+
+/**
+ * The manifest that goes with a data plan: plan.json is tracked in plan.manifest.json next to it.
+ */
+const _manifestPath = (planpath) => {
+    return path.join(path.dirname(planpath), `${path.parse(planpath).name}.manifest.json`);
+};
+
+/**
+ * Reads the manifest of an earlier split.  A missing or unreadable manifest is treated as empty, and
+ * one written for other limits, transform rules, masking, selection, dedupe keys or referenceId scheme as out of date, so
+ * every source is split again.
+ */
+const _read = (manifestpath, limits) => {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestpath, 'utf8'));
+    }
+    catch (err) {
+        return _emptyManifest(limits);
+    }
+    if (!_.isPlainObject(manifest) || manifest.version !== MANIFEST_VERSION || !_.isPlainObject(manifest.sources)) {
+        return _emptyManifest(limits);
+    }
+    manifest.current = manifest.chunkSize === limits.chunkSize && manifest.maxBytes === (limits.maxBytes || null)
+        && (manifest.transform || null) === _transformHash(limits) && (manifest.mask || null) === _maskHash(limits)
+        && (manifest.selection || null) === _selectionHash(limits) && (manifest.dedupe || null) === _dedupeHash(limits)
+        && (manifest.referenceIds || null) === _idSchemeHash(limits);
+    return manifest;
+};
+
+const _hashFile = (filepath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(filepath)
+        .on('error', reject)
+        .on('data', (data) => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Puts the source files back into a plan that an earlier in place split rewrote to list its chunks,
+ * so the sources are what gets split again.  Chunks whose source is gone stay as they are.
+ */
+const _restoreSources = (plan, manifest, datafolder) => {
+    const sourceOf = {};
+    _.forEach(manifest.sources, (entry, source) => {
+        if (fs.existsSync(path.join(datafolder, source))) {
+            _.forEach(entry.chunks, (chunk) => { sourceOf[chunk] = source; });
+        }
+    });
+    _.forEach(plan, (p) => {
+        if (Array.isArray(p.files)) {
+            p.files = _.uniq(_.map(p.files, (f) => sourceOf[f] || f));
+        }
+    });
+};
+
+/**
+ * Whether the chunks recorded for a source can be kept: the source hashes the same, the limits, rules,
+ * masking, selection, dedupe keys and referenceId scheme have not changed and every chunk is still in the target folder.
+ */
+const _isUnchanged = (manifest, source, hash, targetfolder) => {
+    const entry = manifest.sources[source];
+    return manifest.current && !_.isNil(entry) && entry.hash === hash
+        && _.every(entry.chunks, (chunk) => fs.existsSync(path.join(targetfolder, chunk)));
+};
+
+/**
+ * The order of the records of a chunk in their source, as [first index, count] runs, since a chunk
+ * mostly holds records that sit together in the source.
+ * @param {number[]} indexes the index in the source of each record of the chunk, ascending
+ * @returns {number[][]} the runs
+ */
+const _recordOrder = (indexes) => {
+    const runs = [];
+    _.forEach(indexes, (index) => {
+        const last = _.last(runs);
+        if (last && last[0] + last[1] === index) {
+            last[1]++;
+        }
+        else {
+            runs.push([index, 1]);
+        }
+    });
+    return runs;
+};
+
+/**
+ * Puts the records of the chunks of a source back in the order they had in it, so merging a split
+ * gives back the source.  Each source takes the place of the first of its chunks, and files the
+ * manifest does not record, or whose record count no longer matches it, keep their own place and order.
+ * @param {object} manifest the manifest next to the plan
+ * @param {string[]} files the files being merged, in plan order
+ * @param {object[][]} recordsOf the records of each of the files
+ * @returns {object[]} the records, merged
+ */
+const _restoreOrder = (manifest, files, recordsOf) => {
+    const recorded = {};
+    _.forEach(manifest.sources, (entry, source) => {
+        _.forEach(entry.chunks, (chunk, c) => {
+            if (_.has(entry, ['order', c])) {
+                recorded[chunk] = { source, runs: entry.order[c] };
+            }
+        });
+    });
+    const places = new Map();
+    const keyed = _.flatMap(files, (f, i) => {
+        const chunk = recorded[f];
+        const indexes = chunk && _.flatMap(chunk.runs, (run) => _.range(run[0], run[0] + run[1]));
+        const known = indexes && indexes.length === recordsOf[i].length;
+        const group = known ? `source:${chunk.source}` : `file:${f}`;
+        if (!places.has(group)) {
+            places.set(group, places.size);
+        }
+        return _.map(recordsOf[i], (record, r) => ({ record, place: places.get(group), index: known ? indexes[r] : r }));
+    });
+    return _.map(_.sortBy(keyed, ['place', 'index']), 'record');
+};
+
+/**
+ * The chunks of the old manifest that the new one no longer lists, for the sources it covers.
+ */
+const _staleChunks = (manifest, next, sources) => {
+    const kept = new Set(_.flatMap(next.sources, 'chunks'));
+    return _.filter(_.flatMap(sources, (source) => _.get(manifest.sources, [source, 'chunks'], [])), (chunk) => !kept.has(chunk));
+};
+
+module.exports = {
+    create: _emptyManifest,
+    manifestPath: _manifestPath,
+    read: _read,
+    hashFile: _hashFile,
+    restoreSources: _restoreSources,
+    isUnchanged: _isUnchanged,
+    recordOrder: _recordOrder,
+    restoreOrder: _restoreOrder,
+    staleChunks: _staleChunks
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+const references = require(path.join(__dirname, 'references'));
+
+// The kinds of rule a transform file can give each sObject, in the order they are applied
+const RULE_KINDS = ['drop', 'rename', 'default', 'set'];
+
+// Private helper functions
+const _invalid = (filepath, reason) => {
+    return pluginError({ keyName: 'dataSplitInvalidTransform', bundle: 'data_split' }, [filepath, reason]);
+};
+
+/**
+ * Turns the rules of one sObject into a flat list, one rule per field so each can be counted.
+ */
+const _compileRules = (filepath, sobject, spec) => {
+    if (!_.isPlainObject(spec)) {
+        throw _invalid(filepath, `the rules for ${sobject} must be an object`);
+    }
+    const unknown = _.difference(_.keys(spec), RULE_KINDS);
+    if (unknown.length > 0) {
+        throw _invalid(filepath, `unknown rule ${unknown[0]} for ${sobject}, use ${RULE_KINDS.join(', ')}`);
+    }
+    const rules = [];
+    if (!_.isNil(spec.drop)) {
+        if (!Array.isArray(spec.drop) || !_.every(spec.drop, _.isString)) {
+            throw _invalid(filepath, `drop for ${sobject} must be an array of field names`);
+        }
+        _.forEach(spec.drop, (field) => rules.push({ sobject, rule: 'drop', field }));
+    }
+    _.forEach(['rename', 'default', 'set'], (kind) => {
+        if (_.isNil(spec[kind])) {
+            return;
+        }
+        if (!_.isPlainObject(spec[kind])) {
+            throw _invalid(filepath, `${kind} for ${sobject} must be an object of field names`);
+        }
+        _.forEach(spec[kind], (value, field) => {
+            if (kind === 'rename' && (!_.isString(value) || value === '' || value === 'attributes')) {
+                throw _invalid(filepath, `rename of ${sobject}.${field} needs a new field name`);
+            }
+            rules.push({ sobject, rule: kind, field, value });
+        });
+    });
+    _.forEach(rules, (rule) => {
+        if (rule.field === 'attributes') {
+            throw _invalid(filepath, `the rules for ${sobject} cannot change attributes`);
+        }
+        rule.count = 0;
+    });
+    return rules;
+};
+
+/**
+ * Reads a transform file, which maps each sObject to the rules for its records:
+ *   { "Account": { "drop": ["Id"], "rename": { "Old__c": "New__c" },
+ *                  "default": { "OwnerId": "005..." }, "set": { "Status__c": "Imported" } } }
+ * @param {string} filepath the transform file
+ * @returns {{rules: object[], bySObject: object, hash: string}} the rules, each with a count of the
+ * records it changed, the same rules grouped by sObject, and a hash of the file so a change to the
+ * rules is noticed
+ */
+const loadRules = (filepath) => {
+    if (!fs.existsSync(filepath)) {
+        throw pluginError({ keyName: 'dataSplitTransformNotFound', bundle: 'data_split' }, [filepath]);
+    }
+    const contents = fs.readFileSync(filepath, 'utf8');
+    let spec;
+    try {
+        spec = JSON.parse(contents);
+    }
+    catch (err) {
+        throw _invalid(filepath, err.message);
+    }
+    if (!_.isPlainObject(spec)) {
+        throw _invalid(filepath, 'it must be an object of sObject names');
+    }
+    const rules = _.flatMap(spec, (sobjectRules, sobject) => _compileRules(filepath, sobject, sobjectRules));
+    return {
+        rules,
+        bySObject: _.groupBy(rules, 'sobject'),
+        hash: crypto.createHash('sha1').update(contents).digest('hex')
+    };
+};
+
+/**
+ * Applies the rules to a record and its nested children, each by its own attributes.type: dropping
+ * fields, renaming them, filling in defaults for fields that are missing or null and then setting
+ * constants.  The attributes of a record are never changed.
+ * @param {object} transform the rules from loadRules
+ * @param {object} record the record, changed in place
+ * @param {boolean} tally whether to count the records each rule changes
+ * @returns {object} the record
+ */
+const applyRules = (transform, record, tally) => {
+    references.walkRecord(record, (r) => {
+        _.forEach(transform.bySObject[_.get(r, 'attributes.type')], (rule) => {
+            let fired = false;
+            if (rule.rule === 'drop' && _.has(r, [rule.field])) {
+                delete r[rule.field];
+                fired = true;
+            }
+            else if (rule.rule === 'rename' && _.has(r, [rule.field])) {
+                r[rule.value] = r[rule.field];
+                delete r[rule.field];
+                fired = true;
+            }
+            else if (rule.rule === 'default' && _.isNil(r[rule.field])) {
+                r[rule.field] = rule.value;
+                fired = true;
+            }
+            else if (rule.rule === 'set') {
+                r[rule.field] = rule.value;
+                fired = true;
+            }
+            if (fired && tally) {
+                rule.count++;
+            }
+        });
+    });
+    return record;
+};
+
+module.exports = {
+    loadRules,
+    applyRules
+};
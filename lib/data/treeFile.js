@@ -0,0 +1,208 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+const pluginError = require(path.join(__dirname, '..', 'pluginError'));
+
+// What JSON.stringify(tree, null, 4) puts around the records of a tree file
+const FILE_START = '{\n    "records": [\n';
+const FILE_END = '\n    ]\n}';
+const RECORD_INDENT = '        ';
+
+// Private helper functions
+const _invalidFile = (filepath, reason) => {
+    return pluginError({ keyName: 'dataSplitInvalidTreeFile', bundle: 'data_split' }, [filepath, reason]);
+};
+
+/**
+ * Streams the records array of a tree file, parsing one record at a time so no more than a single
+ * record is held in memory.  onRecord is called with each record and its index; when it returns a
+ * promise the stream pauses until that promise resolves.
+ * @param {string} filepath the tree file to read
+ * @param {function} onRecord called with (record, index)
+ * @returns {Promise} resolves with the number of records read
+ */
+const _readRecords = (filepath, onRecord) => new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filepath, { encoding: 'utf8' });
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let key = '';
+    let lastKey;
+    let inRecords = false;
+    let foundRecords = false;
+    let pieces = [];
+    let recordStart = -1;
+    let count = 0;
+    let failed = false;
+    // 'end' can arrive while a paused record is still being handled, so it waits on this
+    let pending = Promise.resolve();
+
+    const fail = (err) => {
+        failed = true;
+        stream.destroy();
+        reject(err);
+    };
+
+    const emit = (text) => {
+        let record;
+        try {
+            record = JSON.parse(text);
+        }
+        catch (err) {
+            throw _invalidFile(filepath, err.message);
+        }
+        return onRecord(record, count++);
+    };
+
+    // Scans text from position i, returning a promise when onRecord asked to wait
+    const scan = (text, i) => {
+        for (; i < text.length; i++) {
+            const c = text[i];
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                }
+                else if (c === '\\') {
+                    escaped = true;
+                }
+                else if (c === '"') {
+                    inString = false;
+                }
+                else if (depth === 1) {
+                    key += c;
+                }
+                continue;
+            }
+            if (c === '"') {
+                inString = true;
+                if (depth === 1) {
+                    key = '';
+                }
+            }
+            else if (c === ':' && depth === 1) {
+                lastKey = key;
+            }
+            else if (c === '{' || c === '[') {
+                if (depth === 1 && c === '[' && lastKey === 'records') {
+                    inRecords = true;
+                    foundRecords = true;
+                }
+                else if (inRecords && depth === 2) {
+                    recordStart = i;
+                }
+                depth++;
+            }
+            else if (c === '}' || c === ']') {
+                depth--;
+                if (depth < 0) {
+                    throw _invalidFile(filepath, `unexpected ${c}`);
+                }
+                if (inRecords && depth === 2 && recordStart >= 0) {
+                    pieces.push(text.slice(recordStart, i + 1));
+                    const recordText = pieces.join('');
+                    pieces = [];
+                    recordStart = -1;
+                    const wait = emit(recordText);
+                    if (wait && typeof wait.then === 'function') {
+                        return wait.then(() => scan(text, i + 1));
+                    }
+                }
+                else if (inRecords && depth === 1) {
+                    inRecords = false;
+                }
+            }
+        }
+        if (recordStart >= 0) {
+            pieces.push(text.slice(recordStart));
+            recordStart = 0;
+        }
+        return undefined;
+    };
+
+    stream.on('data', (text) => {
+        let wait;
+        try {
+            wait = scan(text, 0);
+        }
+        catch (err) {
+            return fail(err);
+        }
+        if (wait) {
+            stream.pause();
+            pending = wait.then(() => {
+                if (!failed) {
+                    stream.resume();
+                }
+            }, fail);
+        }
+        return undefined;
+    });
+    stream.on('error', (err) => {
+        if (!failed) {
+            fail(err);
+        }
+    });
+    stream.on('end', () => pending.then(() => {
+        if (failed) {
+            return;
+        }
+        if (depth !== 0 || inString) {
+            return fail(_invalidFile(filepath, 'unexpected end of file'));
+        }
+        if (!foundRecords) {
+            return fail(_invalidFile(filepath, 'no records array'));
+        }
+        resolve(count);
+    }));
+});
+
+/**
+ * Opens a tree file for writing one record at a time.  The file comes out exactly as
+ * JSON.stringify({ records }, null, 4) would write it.
+ * @param {string} filepath the tree file to write
+ * @returns {{write: function, end: function}} write(record) returns a promise when the caller
+ * should wait for the stream to drain; end() returns a promise that resolves once the file is written
+ */
+const _createWriter = (filepath) => {
+    const stream = fs.createWriteStream(filepath, { encoding: 'utf8' });
+    let error;
+    let first = true;
+    stream.on('error', (err) => { error = err; });
+    stream.write(FILE_START);
+
+    return {
+        write(record) {
+            if (error) {
+                return Promise.reject(error);
+            }
+            const json = JSON.stringify(record, null, 4).replace(/^/gm, RECORD_INDENT);
+            const ok = stream.write((first ? '' : ',\n') + json);
+            first = false;
+            return ok ? undefined : new Promise((resolve, reject) => {
+                stream.once('drain', resolve);
+                stream.once('error', reject);
+            });
+        },
+
+        end() {
+            return new Promise((resolve, reject) => {
+                if (error) {
+                    return reject(error);
+                }
+                stream.once('error', reject);
+                stream.end(FILE_END, resolve);
+                return undefined;
+            });
+        }
+    };
+};
+
+module.exports = {
+    FILE_START,
+    FILE_END,
+    RECORD_INDENT,
+    readRecords: _readRecords,
+    createWriter: _createWriter
+};
@@ -8,7 +8,7 @@ const messages = {
         en_US: {
             // errors
             // help
-            displayCommandDataSplitHelp: 'Break up large data files into file with 200 or less records'
+            displayCommandDataSplitHelp: 'Break up large data files into files with %s or less records'
         }
     },
 
@@ -16,17 +16,225 @@ const messages = {
         en_US: {
             name:'data',
             mainTopicDescriptionHelp: 'Utility for manipulating data',
-            mainTopicLongDescriptionHelp: 'Utility for manipulating data'
+            mainTopicLongDescriptionHelp: 'Utility for manipulating data',
+            dataMissingOption: "%s needs the %s option"
         }
     },
 
     data_split: {
       en_US: {
-            help: "Split data files that have more than 200 records into smaller bits",
+            help: "Split data files that have more than %s records, counting nested child records, into smaller files. Split every file of a data plan with --dataplan, or only the tree files given with --sobjecttreefiles.\n\nEach split records its sources in a manifest next to the data plan. Running it again keeps the chunks of unchanged sources, and data:merge uses the manifest to restore the original record order.\n\nTransform: a JSON file like {\"Account\": {\"drop\": [\"Id\"], \"rename\": {\"Old__c\": \"New__c\"}}} drops, renames, defaults or sets fields of every record, nested children included.\n\nMask: a JSON file like {\"Contact\": {\"Email\": \"email\", \"*\": \"redact\"}} replaces personal data in every record, nested children included. Attributes, @ref values and nulls are never masked. Hash and email masks need a secret --seed.\n\nFilter and sample: records that fail a filter or fall outside the sample are dropped, along with every record that uses them, so the output stays importable.\n\nDedupe: records with the same key fields collapse into the first one in plan order, and every @ref to a duplicate points at that record.\n\nReferenceIds: a referenceId used by more than one record is reported. --referenceids renames them all so each is unique.\n\nBulk: --bulk writes Bulk API CSV batches of up to %s records and a <plan>-jobs.json manifest of insert jobs in load order. @refs become relationship columns on the --externalid field.",
             description: "Split large data files into smaller ones",
             longDescription: "Split large data files into smaller ones",
             GeneralError: "A general error for the Data split command.",
-            dataSplitFileNotFound: "Could not find specified file"
+            dataSplitFileNotFound: "Could not find specified file",
+            dataSplitTreeFileNotFound: "Could not find tree file %s",
+            dataSplitNoSource: "Specify either a data plan with --dataplan or tree files with --sobjecttreefiles",
+            dataSplitPlanWithDataPlan: "--plan only applies to tree files given with --sobjecttreefiles",
+            dataSplitInvalidChunkSize: "Invalid chunk size %s, it must be a whole number from 1 to %s",
+            dataSplitInvalidMaxBytes: "Invalid max bytes %s, it must be a whole number large enough to hold a record",
+            dataSplitRecordTooLarge: "Record %s in %s needs %s bytes on its own, more than the %s byte limit",
+            dataSplitRecordTreeTooLarge: "Record %s in %s has %s records counting its nested children, more than the %s allowed in one file",
+            dataSplitRecordTreeTooLargeAction: "Move some of its child records into their own file that looks up the parent with an @ref.",
+            dataSplitOutputOverwritesInput: "The output directory would overwrite input files: %s",
+            dataSplitOutputConflict: "The output directory already contains: %s",
+            dataSplitOutputConflictAction: "Choose an empty output directory or use --force to overwrite these files.",
+            dataSplitChunkNameClash: "The split would write these files over other files of the plan: %s",
+            dataSplitChunkNameClashAction: "Rename the source files so no chunk, named after its source plus the offset of its first record, takes the name of another file of the plan.",
+            dataSplitInvalidTreeFile: "%s is not a valid tree file: %s",
+            dataWriteFailed: "Could not write %s, no files were changed: %s",
+            dataWriteIsDirectory: "Could not write %s, it is a directory",
+            dataBackupLeftBehind: "Could not remove the backup %s after writing every file: %s",
+            dataSplitCircularReference: "Records reference each other in a cycle and cannot be ordered: %s",
+            dataSplitMixedTypes: "%s holds records of more than one sObject: %s and %s",
+            dataSplitTransformNotFound: "Could not find transform file %s",
+            dataSplitInvalidTransform: "%s is not a valid transform file: %s",
+            dataSplitMaskNotFound: "Could not find mask file %s",
+            dataSplitInvalidMask: "%s is not a valid mask file: %s",
+            dataSplitMaskNeedsSeed: "The mask file %s hashes %s, which needs a secret --seed, since anybody could otherwise hash likely values and match them to the masked ones",
+            dataSplitMaskNeedsSeedAction: "Pass --seed with a secret of your own and keep it to get the same masked values on later runs.",
+            dataSplitFilterNotFound: "Could not find filter file %s",
+            dataSplitInvalidFilter: "%s is not a valid filter file: %s",
+            dataSplitInvalidSample: "Invalid sample %s, it must be a whole number of records or a percentage such as 10%%",
+            dataSplitDroppedRefs: "%s is not being split but uses records that were filtered out, merged or renamed: %s",
+            dataSplitDroppedRefsAction: "Add it to --sobjecttreefiles so the records that use them are dropped or repointed as well.",
+            dataSplitInvalidIdScheme: "Invalid referenceId scheme %s, use one of %s",
+            dataSplitReferenceIdCollision: "These referenceIds are used by more than one record, which the tree import refuses: %s",
+            dataSplitReferenceIdCollisionAction: "Records of one file that share a referenceId, or files that are not split, cannot be renamed apart. Give them unique referenceIds in the source files.",
+            dataSplitDedupeNotFound: "Could not find dedupe file %s",
+            dataSplitInvalidDedupe: "%s is not a valid dedupe file: %s",
+            dataSplitDedupeNestedRecords: "Record %s in %s duplicates %s but has nested child records, which would be lost",
+            dataSplitDedupeNestedRecordsAction: "Move its child records to a file of their own that refers to it with @ref, or leave its sObject out of the dedupe keys.",
+            dataSplitMixedTypesAction: "Run data:partition on the data plan to put each sObject in its own file first.",
+            dataSplitBulkOnly: "--%s only applies to Bulk API batches written with --bulk",
+            dataSplitBulkTreeFlag: "--%s only applies to tree files, use --batchsize to size the batches written with --bulk",
+            dataSplitBulkNeedsOutputDir: "--bulk writes CSV batches and a job manifest, which need their own directory given with --outputdir",
+            dataSplitInvalidBatchSize: "Invalid batch size %s, it must be a whole number from 1 to %s",
+            dataSplitBulkNotFlat: "Record %s in %s has nested child records, which Bulk API CSV cannot hold",
+            dataSplitBulkNotFlatAction: "Run data:flatten to move its child records into files of their own that refer to it with @ref.",
+            dataSplitBulkNoExternalId: "Record %s in %s uses an @ref in %s, which Bulk API can only follow by an external Id; name the field with --externalid",
+            dataSplitBulkUnknownRelationship: "%s in %s holds @refs but is neither a custom field nor named like AccountId, so its relationship name is unknown"
+      }
+
+    },
+
+    data_merge: {
+      en_US: {
+            help: "Merge the files of each data plan entry back into one file per sObject and write a consolidated data plan. The chunks of a split recorded in the manifest next to the data plan get their records back in the order they had before the split.",
+            description: "Merge split data files back together",
+            longDescription: "Merge split data files back together, keeping the records in plan order"
+      }
+
+    },
+
+    data_validate: {
+      en_US: {
+            help: "Check a data plan and its tree files before importing them: the plan entries, that every file exists and has records, that each record has a type and a unique referenceId, and that every @ref is saved by an earlier plan entry",
+            description: "Check a data plan and its files offline",
+            longDescription: "Check a data plan and its files offline, reporting problems per file and per record",
+            dataValidateFailed: "The data plan has %s problems",
+            validatePlanNotArray: "The data plan must be an array of entries",
+            validateEntryNotObject: "Plan entry %s is not an object",
+            validateEntryMissingSObject: "Plan entry %s has no sobject",
+            validateEntryMissingFiles: "Plan entry %s needs a files array of file names",
+            validateEntryInvalidFlag: "Plan entry %s has a %s that is not true or false",
+            validateFileNotFound: "File not found",
+            validateFileInvalid: "Could not read the file: %s",
+            validateRecordMissingType: "Record has no attributes.type",
+            validateRecordWrongSObject: "Record is a %s but the plan entry is for %s",
+            validateRecordMissingReferenceId: "Record has no attributes.referenceId",
+            validateDuplicateReferenceId: "referenceId is already used in %s",
+            validateUnresolvedRef: "@%s is not saved by an earlier plan entry with saveRefs",
+            validateRefsNotResolved: "@%s is used but the plan entry does not set resolveRefs"
+      }
+
+    },
+
+    data_plan: {
+      en_US: {
+            help: "Scan a directory of tree files and write a data plan for them, ordered so every file comes after the files whose referenceIds it uses",
+            description: "Generate a data plan from a directory of tree files",
+            longDescription: "Generate a data plan from a directory of tree files, working out each file's sObject and the @ref dependencies between files",
+            dataPlanDirectoryNotFound: "Could not find directory %s",
+            dataPlanExists: "%s already exists",
+            dataPlanExistsAction: "Use --force to overwrite it.",
+            dataPlanMixedTypes: "%s holds records of more than one sObject: %s",
+            dataPlanUnresolvedRefs: "These refs are not defined by any file in the directory: %s",
+            dataPlanCircularReference: "Files reference each other in a cycle and cannot be ordered: %s use %s"
+      }
+
+    },
+
+    data_partition: {
+      en_US: {
+            help: "Put the records of every data plan file that mixes sObjects into one file per sObject, named after the file and the sObject, then reorder the data plan so every file comes after the files whose referenceIds it uses. Nested child records stay with their parent.",
+            description: "Partition mixed-sObject data files into one file per sObject",
+            longDescription: "Partition mixed-sObject data files into one file per sObject and reorder the data plan by their dependencies",
+            dataPartitionMissingType: "Record %s in %s has no attributes.type",
+            dataPartitionNothingToDo: "Every file holds records of a single sObject, the data plan is unchanged"
+      }
+
+    },
+
+    data_simulate: {
+      en_US: {
+            help: "Walk a data plan the way the tree import does, without an org: entry by entry and file by file, each file resolving its @refs against the referenceIds saved by the files before it and then saving its own when its entry sets saveRefs. Reports the first @ref that would not resolve and why, the files with more than %s records, counting nested child records, that one request cannot take, and the saved refs no later file uses.",
+            description: "Simulate importing a data plan offline",
+            longDescription: "Simulate importing a data plan offline, checking that every @ref resolves in plan order and every file fits in one request",
+            dataSimulateFailed: "The import of the data plan would fail with %s problems",
+            dataSimulateInvalidPlan: "Could not read data plan %s: %s",
+            dataSimulateInvalidPlanAction: "Run data:validate on the data plan for the details.",
+            dataSimulateFileNotFound: "Could not find %s, which the data plan lists",
+            simulateUnresolvedRef: "@%s would not resolve: %s",
+            simulateOverLimit: "%s records in one request, over the limit of %s",
+            simulateRefsNotResolved: "the plan entry does not set resolveRefs",
+            simulateProducerNotSaving: "it is in %s, whose plan entry does not set saveRefs",
+            simulateProducerSameFile: "it is in the same file, whose refs are only saved once the file is imported",
+            simulateProducerLater: "it is only saved by %s, later in the plan",
+            simulateProducerMissing: "no file of the plan has a record with that referenceId"
+      }
+
+    },
+
+    data_convert: {
+      en_US: {
+            help: "Turn the output of force:data:soql:query --json, one query file per sObject, into tree files and a data plan ready for data:split. Every record, subquery records included, gets a referenceId such as AccountRef1; a lookup to a record of the converted files becomes an @ref to it, while Ids of records outside them are kept. Id, audit and other system fields and parent relationship fields are left out, and subqueries become nested child records.",
+            description: "Convert SOQL query output into tree files and a data plan",
+            longDescription: "Convert SOQL query output into tree files linked by @refs and a data plan for them",
+            dataConvertFileNotFound: "Could not find query file %s",
+            dataConvertInvalidQueryFile: "%s is not query output: %s",
+            dataConvertRepeatedSObject: "More than one query file holds %s records: %s",
+            dataConvertRepeatedSObjectAction: "Query each sObject once, or convert the files separately."
+      }
+
+    },
+
+    data_fromcsv: {
+      en_US: {
+            help: "Turn CSV files into tree files, one sObject per CSV file, and write a data plan for them ordered by their @ref dependencies. A referenceId column gives each record its referenceId, otherwise one such as AccountRef1 is made up, and a cell starting with @ is a ref to the record with that referenceId. Empty cells are left out. Use --mapping with a JSON file like {\"accounts.csv\": {\"sobject\": \"Account\", \"fields\": {\"Account Name\": \"Name\"}, \"types\": {\"NumberOfEmployees\": \"number\", \"Active__c\": \"boolean\", \"Since__c\": \"date\"}}} to give a CSV file its sObject, map its column headers to fields and convert values to number, boolean, date (yyyy-mm-dd or m/d/yyyy) or datetime. A CSV file without a mapping is named after its sObject, such as Account.csv, and its headers are the field names.",
+            description: "Convert CSV files into tree files and a data plan",
+            longDescription: "Convert CSV files into tree files linked by @refs and a data plan for them",
+            dataCsvFileNotFound: "Could not find CSV file %s",
+            dataCsvMappingNotFound: "Could not find mapping file %s",
+            dataCsvInvalidMapping: "%s is not a valid mapping file: %s",
+            dataCsvInvalidHeader: "%s has no usable header row: %s",
+            dataCsvExtraCells: "%s line %s has more cells than the %s columns of the header row",
+            dataCsvInvalidValue: "%s line %s: %s is not a valid %s for column %s",
+            dataCsvUnresolvedRefs: "These refs are not defined by any of the CSV files: %s"
+      }
+
+    },
+
+    data_tocsv: {
+      en_US: {
+            help: "Write the tree files of a data plan, or the tree files given, as CSV files for review in a spreadsheet: a referenceId column followed by a column per field, with @refs kept as they are. Use --mapping with the same JSON file as data:fromcsv to name the columns of a CSV file by its column headers instead of its fields.",
+            description: "Convert tree files into CSV files",
+            longDescription: "Convert the tree files of a data plan into CSV files, one per tree file",
+            dataCsvNoSource: "Use either --dataplan or --sobjecttreefiles",
+            dataCsvNotFlat: "%s has nested child records under %s, which a CSV file cannot hold",
+            dataCsvNotFlatAction: "Run data:flatten to move the child records into files of their own that refer to their parent with @ref first."
+      }
+
+    },
+
+    data_flatten: {
+      en_US: {
+            help: "Pull the nested child records of every file of a data plan out into files of their own, one per file and child sObject, named after the file and the sObject, such as Account-Contact.json. Each child record gets an @ref to its parent in its lookup field, and the data plan is reordered so every file comes after the files whose referenceIds it uses. The lookup field is named after the parent sObject, such as AccountId or Invoice__c; use --relationships with a JSON file like {\"Account\": {\"ChildAccounts\": \"Account.ParentId\"}} to name it for the relationships that differ.",
+            description: "Move nested child records into files of their own",
+            longDescription: "Move the nested child records of a data plan into files of their own linked to their parents by @ref",
+            dataRelationshipsNotFound: "Could not find relationships file %s",
+            dataInvalidRelationships: "%s is not a valid relationships file: %s",
+            dataFlattenNoReferenceId: "%s record in %s has nested %s but no referenceId for them to refer to"
+      }
+
+    },
+
+    data_nest: {
+      en_US: {
+            help: "Nest the records of a data plan under the records their lookups point at, for the relationships named with --relationships in a JSON file like {\"Account\": {\"Contacts\": \"Contact.AccountId\"}}, which nests every Contact whose AccountId is an @ref to an Account under that Account's Contacts. A record is only nested under a parent in an earlier entry of the plan whose other records it uses are all in entries before the parent's, and while the parent's tree stays within %s records. Files left without records are dropped from the data plan, which is reordered so every file comes after the files whose referenceIds it uses.",
+            description: "Nest child records under their parents",
+            longDescription: "Nest the records of a data plan under the records their @ref lookups point at"
+      }
+
+    },
+
+    cli: {
+      en_US: {
+            usage: "Usage: %s %s [flags]",
+            commandsHeader: "Commands:",
+            flagsHeader: "Flags:",
+            commandHelpHint: "Run %s COMMAND --help for the flags of a command.",
+            jsonFlagDescription: "Format output as JSON",
+            loglevelFlagDescription: "Logging level for this command invocation",
+            helpFlagDescription: "Show help for the command",
+            cliUnknownCommand: "Unknown command %s",
+            cliUnknownFlag: "Unknown flag %s",
+            cliMissingFlag: "Missing required flag --%s",
+            cliFlagNeedsValue: "Flag --%s needs a value",
+            cliFlagTakesNoValue: "Flag --%s does not take a value",
+            cliInvalidFlagType: "Flag --%s must be %s, got %s",
+            cliUnexpectedArgument: "Unexpected argument %s",
+            cliUsageAction: "Run %s --help to see how to use it."
       }
 
     }
@@ -7,6 +7,75 @@ const messages = require(path.join(__dirname, 'messages'))();
 // Hash of error keys to error names
 const PluginErrors = {
     dataSplitFileNotFound: 'InvalidDataImport',
+    dataSplitTreeFileNotFound: 'InvalidDataImport',
+    dataSplitNoSource: 'InvalidFlagValue',
+    dataSplitPlanWithDataPlan: 'InvalidFlagValue',
+    dataSplitInvalidChunkSize: 'InvalidFlagValue',
+    dataSplitInvalidMaxBytes: 'InvalidFlagValue',
+    dataSplitRecordTooLarge: 'InvalidDataImport',
+    dataSplitRecordTreeTooLarge: 'InvalidDataImport',
+    dataSplitOutputOverwritesInput: 'InvalidOutputDirectory',
+    dataSplitOutputConflict: 'InvalidOutputDirectory',
+    dataSplitChunkNameClash: 'InvalidOutputDirectory',
+    dataSplitInvalidTreeFile: 'InvalidDataImport',
+    dataSplitCircularReference: 'InvalidDataImport',
+    dataSplitMixedTypes: 'InvalidDataImport',
+    dataSplitTransformNotFound: 'InvalidFlagValue',
+    dataSplitInvalidTransform: 'InvalidFlagValue',
+    dataSplitMaskNotFound: 'InvalidFlagValue',
+    dataSplitInvalidMask: 'InvalidFlagValue',
+    dataSplitMaskNeedsSeed: 'InvalidFlagValue',
+    dataSplitFilterNotFound: 'InvalidFlagValue',
+    dataSplitInvalidFilter: 'InvalidFlagValue',
+    dataSplitInvalidSample: 'InvalidFlagValue',
+    dataSplitDroppedRefs: 'InvalidDataImport',
+    dataSplitDedupeNotFound: 'InvalidFlagValue',
+    dataSplitInvalidDedupe: 'InvalidFlagValue',
+    dataSplitDedupeNestedRecords: 'InvalidDataImport',
+    dataSplitInvalidIdScheme: 'InvalidFlagValue',
+    dataSplitReferenceIdCollision: 'InvalidDataImport',
+    dataSplitBulkOnly: 'InvalidFlagValue',
+    dataSplitBulkTreeFlag: 'InvalidFlagValue',
+    dataSplitBulkNeedsOutputDir: 'InvalidFlagValue',
+    dataSplitInvalidBatchSize: 'InvalidFlagValue',
+    dataSplitBulkNotFlat: 'InvalidDataImport',
+    dataSplitBulkNoExternalId: 'InvalidDataImport',
+    dataSplitBulkUnknownRelationship: 'InvalidDataImport',
+    dataMissingOption: 'InvalidFlagValue',
+    dataWriteFailed: 'WriteFailed',
+    dataWriteIsDirectory: 'InvalidOutputDirectory',
+    dataValidateFailed: 'InvalidDataPlan',
+    dataPlanDirectoryNotFound: 'InvalidDataImport',
+    dataPlanExists: 'InvalidOutputDirectory',
+    dataPlanMixedTypes: 'InvalidDataImport',
+    dataPlanUnresolvedRefs: 'InvalidDataImport',
+    dataPlanCircularReference: 'InvalidDataImport',
+    dataPartitionMissingType: 'InvalidDataImport',
+    dataSimulateFailed: 'InvalidDataPlan',
+    dataSimulateInvalidPlan: 'InvalidDataPlan',
+    dataSimulateFileNotFound: 'InvalidDataPlan',
+    dataConvertFileNotFound: 'InvalidFlagValue',
+    dataConvertInvalidQueryFile: 'InvalidDataImport',
+    dataConvertRepeatedSObject: 'InvalidDataImport',
+    dataCsvFileNotFound: 'InvalidFlagValue',
+    dataCsvMappingNotFound: 'InvalidFlagValue',
+    dataCsvInvalidMapping: 'InvalidFlagValue',
+    dataCsvInvalidHeader: 'InvalidDataImport',
+    dataCsvExtraCells: 'InvalidDataImport',
+    dataCsvInvalidValue: 'InvalidDataImport',
+    dataCsvUnresolvedRefs: 'InvalidDataImport',
+    dataCsvNoSource: 'InvalidFlagValue',
+    dataCsvNotFlat: 'InvalidDataImport',
+    dataRelationshipsNotFound: 'InvalidFlagValue',
+    dataInvalidRelationships: 'InvalidFlagValue',
+    dataFlattenNoReferenceId: 'InvalidDataImport',
+    cliUnknownCommand: 'InvalidCommand',
+    cliUnknownFlag: 'InvalidFlag',
+    cliMissingFlag: 'InvalidFlag',
+    cliFlagNeedsValue: 'InvalidFlagValue',
+    cliFlagTakesNoValue: 'InvalidFlagValue',
+    cliInvalidFlagType: 'InvalidFlagValue',
+    cliUnexpectedArgument: 'InvalidCommand',
     sourcePushFailed : 'DeployFailed'
 };
 
@@ -0,0 +1,75 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const parser = require(path.join(__dirname, '..', '..', 'lib', 'cmdParser.js'));
+
+const split = {
+    topic: 'data',
+    command: 'split',
+    description: 'Splits data files',
+    flags: [
+        { name: 'dataplan', char: 'f', description: 'The data plan', hasValue: true, required: true },
+        { name: 'chunksize', char: 's', description: 'The most records in a file', hasValue: true, type: 'integer', required: false },
+        { name: 'dryrun', description: 'Only report', hasValue: false, required: false }
+    ]
+};
+
+const root = { namespace: { name: 'djc' }, commands: [split] };
+
+describe('cmdParser', () => {
+    it('parses long, short, inline and typed flags', () => {
+        const parsed = parser.parseCommand(root, ['data:split', '--dataplan=plan.json', '-s', '100', '--dryrun', '--json'], 'djc');
+        assert.strictEqual(parsed.cmd, split);
+        assert.strictEqual(parsed.help, false);
+        assert.deepStrictEqual(parsed.flags, { dataplan: 'plan.json', chunksize: 100, dryrun: true, json: true });
+        assert.deepStrictEqual(parser.parseCommand(root, ['djc:data:split', '-fplan.json'], 'djc').flags, { dataplan: 'plan.json' });
+    });
+
+    it('asks for help instead of a run without checking required flags', () => {
+        assert.deepStrictEqual(parser.parseCommand(root, ['data:split', '--help'], 'djc'), { cmd: split, flags: {}, help: true });
+        assert.deepStrictEqual(parser.parseCommand(root, [], 'djc'), { cmd: undefined, flags: {}, help: true });
+    });
+
+    it('refuses what the command does not take', () => {
+        const refuses = (args, pattern) => assert.throws(() => parser.parseCommand(root, args, 'djc'), pattern);
+        refuses(['data:join'], /data:join/);
+        refuses(['data:split', '-f', 'plan.json', '--chunk', '1'], /--chunk/);
+        refuses(['data:split', '-f', 'plan.json', '-s', 'ten'], /chunksize/);
+        refuses(['data:split', '-f', '--dryrun'], /dataplan/);
+        refuses(['data:split', '-f', 'plan.json', '--dryrun=yes'], /dryrun/);
+        refuses(['data:split', '-s', '5'], /dataplan/);
+        refuses(['data:split', '-f', 'plan.json', 'extra'], /extra/);
+    });
+
+    it('formats the help of a command and the list of commands', () => {
+        const help = parser.formatHelp(root, split, 'djc');
+        assert.ok(help.includes('djc data:split'));
+        assert.ok(help.includes('Splits data files'));
+        assert.ok(/-f, --dataplan DATAPLAN\s+\(required\) The data plan/.test(help));
+        assert.ok(/--dryrun\s+Only report/.test(help));
+        assert.ok(help.includes('--json'));
+        assert.ok(/data:split\s+Splits data files/.test(parser.formatHelp(root, undefined, 'djc')));
+    });
+
+    it('formats a result as its values followed by a table per list of rows', () => {
+        const text = parser.formatResult({
+            plan: 'plan.json',
+            dryrun: false,
+            entries: [{ sobject: 'Account', files: ['Account0.json', 'Account200.json'] }, { sobject: 'Contact', files: [] }],
+            rules: []
+        });
+        assert.deepStrictEqual(text.split(os.EOL), [
+            'Plan: plan.json',
+            'Dryrun: false',
+            '',
+            '=== Entries',
+            'Sobject  Files',
+            'Account  Account0.json, Account200.json',
+            'Contact'
+        ]);
+    });
+});
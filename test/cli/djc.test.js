@@ -0,0 +1,64 @@
+'use strict';
+
+const path = require('path');
+const childProcess = require('child_process');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const fixtures = require(path.join(__dirname, '..', 'data', 'fixtures.js'));
+
+const NAME = 'djc';
+const BIN = path.join(__dirname, '..', '..', 'bin', 'djc.js');
+
+// Private helper functions
+const _run = (args) => {
+    return childProcess.spawnSync(process.execPath, [BIN].concat(args), { encoding: 'utf8' });
+};
+
+describe('djc', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('runs a command through the library and prints its result as JSON with --json', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(5) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const run = _run(['data:split', '-f', dataplan, '--chunksize', '2', '--json']);
+        assert.strictEqual(run.status, 0, run.stderr);
+        const output = JSON.parse(run.stdout);
+        assert.strictEqual(output.status, 0);
+        assert.deepStrictEqual(output.result.entries[0].chunkFiles, ['Account0.json', 'Account2.json', 'Account4.json']);
+    });
+
+    it('prints a failed command and exits with 1', () => {
+        const run = _run(['data:validate', '-f', path.join(dir, 'missing.json'), '--json']);
+        assert.strictEqual(run.status, 1);
+        assert.strictEqual(JSON.parse(run.stdout).name, 'InvalidDataImport');
+        const usage = _run(['data:split', '--bogus']);
+        assert.strictEqual(usage.status, 1);
+        assert.ok(usage.stderr.includes('--bogus'));
+    });
+
+    it('prints a usage error as JSON with --json', () => {
+        const run = _run(['data:split', '--bogus', '--json']);
+        assert.strictEqual(run.status, 1);
+        assert.strictEqual(run.stderr, '');
+        const output = JSON.parse(run.stdout);
+        assert.strictEqual(output.status, 1);
+        assert.strictEqual(output.name, 'InvalidFlag');
+        assert.ok(output.message.includes('--bogus'));
+    });
+
+    it('shows the help of a command in one paragraph per feature, with its limits filled in', () => {
+        const run = _run(['data:split', '--help']);
+        assert.strictEqual(run.status, 0, run.stderr);
+        const paragraphs = run.stdout.split(/\r?\n\r?\n/);
+        ['Transform:', 'Mask:', 'Filter and sample:', 'Dedupe:', 'ReferenceIds:', 'Bulk:'].forEach((heading) => {
+            assert.ok(paragraphs.some((paragraph) => paragraph.startsWith(heading)), heading);
+        });
+        assert.ok(run.stdout.includes('files with 200 or less records'));
+        assert.ok(!run.stdout.includes('%s'));
+    });
+});
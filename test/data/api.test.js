@@ -0,0 +1,47 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'api.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'api';
+
+describe('api', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('emits a progress event for each file read and written', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(5) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const data = new Data();
+        const events = [];
+        data.on('progress', (event) => events.push(event));
+        return data.split({ dataplan, chunksize: 3 }).then((report) => {
+            assert.deepStrictEqual(events.filter((e) => e.step === 'read'), [{ operation: 'split', step: 'read', file: 'Account.json', records: 5 }]);
+            const written = events.filter((e) => e.step === 'write');
+            assert.deepStrictEqual(written.map((e) => [e.operation, e.file, e.records]), report.files.map((f) => ['split', f.file, f.records]));
+        });
+    });
+
+    it('rejects with a named error instead of throwing', () => {
+        let result;
+        assert.doesNotThrow(() => { result = new Data().validate({ dataplan: path.join(dir, 'missing.json') }); });
+        return assert.rejects(result, { name: 'InvalidDataImport' });
+    });
+
+    it('rejects an operation missing an option its command requires', () => {
+        return assert.rejects(new Data().merge({}), (err) => err.name === 'InvalidFlagValue' && /merge.*dataplan/.test(err.message))
+            .then(() => assert.rejects(new Data().validate(), (err) => /dataplan/.test(err.message)))
+            .then(() => assert.rejects(new Data().plan({ directory: '' }), (err) => /directory/.test(err.message)));
+    });
+
+    it('is the main module of the package', () => {
+        assert.strictEqual(require(path.join(__dirname, '..', '..')), Data);
+    });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const bulkBatch = require(path.join(__dirname, '..', '..', 'lib', 'data', 'bulkBatch.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'bulkBatch';
+
+describe('data:split --bulk', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const writePlan = (accounts) => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: accounts });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), {
+            records: [0, 1].map((i) => fixtures.record('Contact', `C${i}`, { LastName: `Smith, ${i}`, AccountId: `@A${i}` }))
+        });
+        return fixtures.writeJson(path.join(dir, 'plan.json'), [
+            { sobject: 'Account', saveRefs: true, resolveRefs: true, files: ['Account.json'] },
+            { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+        ]);
+    };
+
+    const linesOf = (filepath) => fs.readFileSync(filepath, 'utf8').split(/\r?\n/).filter((line) => line !== '');
+
+    it('writes CSV batches that name parents by external Id and a manifest of jobs in plan order', () => {
+        const dataplan = writePlan(fixtures.accounts(3, (i) => ({ ParentId: i > 0 ? '@A0' : null })));
+        const outputdir = path.join(dir, 'bulk');
+        return new Data().split({ dataplan, bulk: true, batchsize: 2, externalid: 'Ext__c', outputdir }).then((report) => {
+            assert.deepStrictEqual(report.entries.map((e) => e.chunkFiles), [['Account0.csv', 'Account1.csv'], ['Contact0.csv']]);
+            assert.deepStrictEqual(linesOf(path.join(outputdir, 'Account1.csv')), [
+                'Ext__c,Name,ParentId,Parent.Ext__c', 'A1,Account 1,,A0', 'A2,Account 2,,A0'
+            ]);
+            assert.deepStrictEqual(linesOf(path.join(outputdir, 'Contact0.csv')), [
+                'Ext__c,LastName,Account.Ext__c', 'C0,"Smith, 0",A0', 'C1,"Smith, 1",A1'
+            ]);
+            const manifest = fixtures.readJson(path.join(outputdir, 'plan-jobs.json'));
+            assert.deepStrictEqual([manifest.externalIdField, manifest.batchSize], ['Ext__c', 2]);
+            assert.deepStrictEqual(manifest.jobs.map((job) => [job.order, job.object, job.operation, job.concurrencyMode, job.records, job.batches]), [
+                [1, 'Account', 'insert', 'Serial', 3, ['Account0.csv', 'Account1.csv']],
+                [2, 'Contact', 'insert', 'Parallel', 2, ['Contact0.csv']]
+            ]);
+        });
+    });
+
+    it('refuses nested child records, refs without --externalid and a batch size over the limit', () => {
+        const outputdir = path.join(dir, 'bulk');
+        const nested = writePlan([fixtures.record('Account', 'A0', { Contacts: { records: [fixtures.record('Contact', 'N0')] } }), fixtures.record('Account', 'A1')]);
+        return assert.rejects(new Data().split({ dataplan: nested, bulk: true, externalid: 'Ext__c', outputdir }), { name: 'InvalidDataImport' })
+            .then(() => {
+                const dataplan = writePlan(fixtures.accounts(2));
+                return assert.rejects(new Data().split({ dataplan, bulk: true, outputdir }), /AccountId/)
+                    .then(() => assert.rejects(new Data().split({ dataplan, bulk: true, batchsize: Data.BATCH_LIMIT + 1, outputdir }), { name: 'InvalidFlagValue' }));
+            });
+    });
+
+    it('names the relationship behind a lookup field', () => {
+        assert.strictEqual(bulkBatch.relationshipName('AccountId'), 'Account');
+        assert.strictEqual(bulkBatch.relationshipName('Parent__c'), 'Parent__r');
+        assert.strictEqual(bulkBatch.relationshipName('Id'), undefined);
+        assert.strictEqual(bulkBatch.relationshipName('Website'), undefined);
+    });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'csvConverter';
+
+describe('data:fromcsv and data:tocsv', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const writeCsv = (name, lines) => {
+        const filepath = path.join(dir, name);
+        fs.writeFileSync(filepath, lines.join(os.EOL) + os.EOL);
+        return filepath;
+    };
+
+    it('writes back the CSV files a plan was made from', () => {
+        const csv = {
+            'Account.csv': ['referenceId,Name,Industry', 'A1,"Acme, Inc.",Energy', 'A2,"The ""Best"" Co",'],
+            'Contact.csv': ['referenceId,LastName,AccountId', 'C1,Smith,@A1', 'C2,"Line one\nline two",@A2']
+        };
+        const csvfiles = Object.keys(csv).map((name) => writeCsv(name, csv[name])).join(',');
+        const data = new Data();
+        return data.fromCsv({ csvfiles, outputdir: path.join(dir, 'tree') })
+            .then((result) => {
+                assert.deepStrictEqual(result.entries, [
+                    { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] },
+                    { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+                ]);
+                assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'tree', 'Contact.json')).records[1],
+                    fixtures.record('Contact', 'C2', { LastName: 'Line one\nline two', AccountId: '@A2' }));
+                return data.toCsv({ dataplan: result.plan, outputdir: path.join(dir, 'csv') });
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result.files.map((f) => f.file).sort(), Object.keys(csv));
+                Object.keys(csv).forEach((name) => {
+                    assert.strictEqual(fs.readFileSync(path.join(dir, 'csv', name), 'utf8'), fs.readFileSync(path.join(dir, name), 'utf8'));
+                });
+            });
+    });
+
+    it('names columns and converts values as the mapping says', () => {
+        const csvfiles = writeCsv('accounts.csv', ['Account Name,Employees,Active__c', 'Acme,"1,200",yes', 'Beta,,0']);
+        const mapping = fixtures.writeJson(path.join(dir, 'mapping.json'), {
+            'accounts.csv': { sobject: 'Account', fields: { 'Account Name': 'Name', Employees: 'NumberOfEmployees' }, types: { NumberOfEmployees: 'number', Active__c: 'boolean' } }
+        });
+        return new Data().fromCsv({ csvfiles, mapping, outputdir: path.join(dir, 'tree') }).then((result) => {
+            assert.deepStrictEqual(result.files.map((f) => [f.file, f.sobject, f.records]), [['accounts.json', 'Account', 2]]);
+            assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'tree', 'accounts.json')).records, [
+                fixtures.record('Account', 'AccountRef1', { Name: 'Acme', NumberOfEmployees: 1200, Active__c: true }),
+                fixtures.record('Account', 'AccountRef2', { Name: 'Beta', Active__c: false })
+            ]);
+        });
+    });
+
+    it('refuses a value that is not of its type and a ref that nothing produces', () => {
+        const mapping = fixtures.writeJson(path.join(dir, 'mapping.json'), { 'Account.csv': { types: { NumberOfEmployees: 'number' } } });
+        const accounts = writeCsv('Account.csv', ['referenceId,NumberOfEmployees', 'A1,many']);
+        const contacts = writeCsv('Contact.csv', ['referenceId,AccountId', 'C1,@A9']);
+        return assert.rejects(new Data().fromCsv({ csvfiles: accounts, mapping, outputdir: path.join(dir, 'tree') }), { name: 'InvalidDataImport' })
+            .then(() => assert.rejects(new Data().fromCsv({ csvfiles: contacts, outputdir: path.join(dir, 'tree') }), (err) => err.name === 'InvalidDataImport' && /A9/.test(err.message)));
+    });
+});
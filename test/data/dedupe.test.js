@@ -0,0 +1,64 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'dedupe';
+
+describe('data:split --dedupe', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const writePlan = (accounts) => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: accounts });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), {
+            records: accounts.map((a, i) => fixtures.record('Contact', `C${i}`, { AccountId: `@${a.attributes.referenceId}` }))
+        });
+        return fixtures.writeJson(path.join(dir, 'plan.json'), [
+            { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] },
+            { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+        ]);
+    };
+
+    const recordsOf = (dataplan, i) => fixtures.readJson(dataplan)[i].files
+        .map((f) => fixtures.readJson(path.join(dir, f)).records).reduce((all, some) => all.concat(some), []);
+
+    it('keeps the first record with a key and points the refs to the others at it', () => {
+        const dataplan = writePlan([
+            fixtures.record('Account', 'A0', { Name: 'Acme' }),
+            fixtures.record('Account', 'A1', { Name: 'Beta' }),
+            fixtures.record('Account', 'A2', { Name: 'Acme' }),
+            fixtures.record('Account', 'A3', { Name: null })
+        ]);
+        const dedupe = fixtures.writeJson(path.join(dir, 'dedupe.json'), { Account: ['Name'] });
+        return new Data().split({ dataplan, dedupe }).then((report) => {
+            assert.deepStrictEqual(report.merged, [
+                { sobject: 'Account', key: 'Acme', survivor: 'A0', survivorSource: 'Account.json', duplicate: 'A2', source: 'Account.json' }
+            ]);
+            assert.deepStrictEqual(recordsOf(dataplan, 0).map((r) => r.attributes.referenceId), ['A0', 'A1', 'A3']);
+            assert.deepStrictEqual(recordsOf(dataplan, 1).map((r) => r.AccountId), ['@A0', '@A1', '@A0', '@A3']);
+        });
+    });
+
+    it('refuses to merge away a duplicate with nested child records', () => {
+        const dataplan = writePlan([
+            fixtures.record('Account', 'A0', { Name: 'Acme' }),
+            fixtures.record('Account', 'A1', { Name: 'Acme', Contacts: { records: [fixtures.record('Contact', 'N0')] } })
+        ]);
+        const dedupe = fixtures.writeJson(path.join(dir, 'dedupe.json'), { Account: ['Name'] });
+        return assert.rejects(new Data().split({ dataplan, dedupe }), (err) => err.name === 'InvalidDataImport' && /A1/.test(err.message));
+    });
+
+    it('refuses a key that is not an array of field names', () => {
+        const dataplan = writePlan([fixtures.record('Account', 'A0', { Name: 'Acme' })]);
+        const dedupe = fixtures.writeJson(path.join(dir, 'dedupe.json'), { Account: 'Name' });
+        return assert.rejects(new Data().split({ dataplan, dedupe }), { name: 'InvalidFlagValue' });
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const FileTransaction = require(path.join(__dirname, '..', '..', 'lib', 'data', 'fileTransaction.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'fileTransaction';
+
+describe('FileTransaction', () => {
+    let dir;
+
+    const file = (name) => path.join(dir, name);
+
+    const contents = () => {
+        const found = {};
+        fs.readdirSync(dir).forEach((name) => { found[name] = fs.readFileSync(file(name), 'utf8'); });
+        return found;
+    };
+
+    beforeEach(() => {
+        dir = fixtures.workdir(NAME);
+        fs.writeFileSync(file('replaced.json'), 'old');
+        fs.writeFileSync(file('kept.json'), 'old');
+    });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('commits every write together', () => {
+        const transaction = new FileTransaction();
+        return transaction.writeFile(file('replaced.json'), 'new')
+            .then(() => transaction.copyFile(file('kept.json'), file('copied.json')))
+            .then(() => transaction.commit())
+            .then((leftBehind) => {
+                assert.deepStrictEqual(leftBehind, []);
+                assert.deepStrictEqual(contents(), { 'copied.json': 'old', 'kept.json': 'old', 'replaced.json': 'new' });
+            });
+    });
+
+    it('rolls back the files a failed commit already changed', () => {
+        const transaction = new FileTransaction();
+        let failed;
+        return transaction.writeFile(file('replaced.json'), 'new')
+            .then(() => transaction.writeFile(file('added.json'), 'new'))
+            .then(() => transaction.writeFile(file('last.json'), 'new'))
+            .then(() => {
+                // Losing the temp file of the last write makes commit() fail after the others landed
+                fs.unlinkSync(transaction.files[2].temp);
+                return transaction.commit().catch((err) => { failed = err; });
+            })
+            .then(() => {
+                assert.strictEqual(failed.name, 'WriteFailed');
+                assert.strictEqual(fs.readFileSync(file('replaced.json'), 'utf8'), 'new');
+                return transaction.rollback();
+            })
+            .then(() => assert.deepStrictEqual(contents(), { 'kept.json': 'old', 'replaced.json': 'old' }));
+    });
+
+    it('rolls back staged writes before a commit', () => {
+        const transaction = new FileTransaction();
+        return transaction.writeFile(file('replaced.json'), 'new')
+            .then(() => transaction.copyFile(file('kept.json'), file('copied.json')))
+            .then(() => transaction.rollback())
+            .then(() => assert.deepStrictEqual(contents(), { 'kept.json': 'old', 'replaced.json': 'old' }));
+    });
+
+    it('removes files on commit and puts them back when a later change fails', () => {
+        const committed = new FileTransaction();
+        committed.remove(file('kept.json'));
+        return committed.commit()
+            .then(() => assert.deepStrictEqual(contents(), { 'replaced.json': 'old' }))
+            .then(() => {
+                const failing = new FileTransaction();
+                failing.remove(file('replaced.json'));
+                return failing.writeFile(file('last.json'), 'new')
+                    .then(() => {
+                        fs.unlinkSync(failing.files[1].temp);
+                        return assert.rejects(failing.commit(), { name: 'WriteFailed' });
+                    })
+                    .then(() => failing.rollback());
+            })
+            .then(() => assert.deepStrictEqual(contents(), { 'replaced.json': 'old' }));
+    });
+
+    it('refuses to write over or remove a directory', () => {
+        fs.mkdirSync(file('folder'));
+        const transaction = new FileTransaction();
+        assert.throws(() => transaction.stage(file('folder')), { name: 'InvalidOutputDirectory' });
+        assert.throws(() => transaction.remove(file('folder')), { name: 'InvalidOutputDirectory' });
+        assert.deepStrictEqual(transaction.files, []);
+    });
+});
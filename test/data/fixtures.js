@@ -0,0 +1,61 @@
+'use strict';
+
+// Helpers the tests share for writing tree files and data plans to a scratch directory
+const path = require('path');
+const fs = require('fs');
+
+const ARTIFACTS = path.join(__dirname, '..', 'artifacts');
+
+/**
+ * An empty scratch directory for one test file under test/artifacts, which git ignores.
+ * @param {string} name the name of the directory
+ * @returns {string} the directory
+ */
+const workdir = (name) => {
+    const dir = path.join(ARTIFACTS, name);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+};
+
+const removeWorkdir = (name) => {
+    fs.rmSync(path.join(ARTIFACTS, name), { recursive: true, force: true });
+};
+
+const writeJson = (filepath, value) => {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify(value, null, 4));
+    return filepath;
+};
+
+const readJson = (filepath) => JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+/**
+ * A tree file record of the sObject type with the referenceId and fields given.
+ */
+const record = (type, referenceId, fields) => {
+    return Object.assign({ attributes: { type, referenceId } }, fields);
+};
+
+/**
+ * Records A0 to A<count - 1> of Account, each with the fields fieldsOf(i) gives it.
+ */
+const accounts = (count, fieldsOf) => {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        records.push(record('Account', `A${i}`, Object.assign({ Name: `Account ${i}` }, fieldsOf && fieldsOf(i))));
+    }
+    return records;
+};
+
+const referenceIdsOf = (filepath) => readJson(filepath).records.map((r) => r.attributes.referenceId);
+
+module.exports = {
+    workdir,
+    removeWorkdir,
+    writeJson,
+    readJson,
+    record,
+    accounts,
+    referenceIdsOf
+};
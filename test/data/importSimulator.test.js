@@ -0,0 +1,53 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'importSimulator';
+
+describe('data:simulate', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fixtures.workdir(NAME);
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(2) });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), { records: [fixtures.record('Contact', 'C0', { AccountId: '@A1' })] });
+    });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const entry = (sobject, flags) => ({ sobject, saveRefs: !!flags.saveRefs, resolveRefs: !!flags.resolveRefs, files: flags.files || [`${sobject}.json`] });
+
+    const simulate = (accounts, contacts) => {
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [
+            entry('Account', accounts),
+            entry('Contact', contacts)
+        ].filter((p) => p.files.length > 0));
+        return new Data().simulate({ dataplan });
+    };
+
+    const rejectsWith = (result, reason) => assert.rejects(result, (err) => {
+        assert.strictEqual(err.name, 'InvalidDataPlan');
+        assert.deepStrictEqual(err.problems.map((p) => [p.file, p.record]), [['Contact.json', 'C0']]);
+        assert.ok(err.problems[0].problem.includes(reason), err.problems[0].problem);
+        return true;
+    });
+
+    it('walks the plan file by file and reports the refs saved that no file uses', () => {
+        return simulate({ saveRefs: true }, { resolveRefs: true }).then((result) => {
+            assert.deepStrictEqual(result.steps.map((s) => [s.file, s.records, s.resolved, s.saved]), [['Account.json', 2, 0, 2], ['Contact.json', 1, 1, 0]]);
+            assert.strictEqual(result.unresolved, null);
+            assert.deepStrictEqual(result.unused, [{ file: 'Account.json', count: 1, referenceIds: ['A0'] }]);
+        });
+    });
+
+    it('explains why the first ref would not resolve', () => {
+        return rejectsWith(simulate({ saveRefs: true }, {}), 'does not set resolveRefs')
+            .then(() => rejectsWith(simulate({}, { resolveRefs: true }), 'does not set saveRefs'))
+            .then(() => rejectsWith(simulate({ saveRefs: true, files: [] }, { resolveRefs: true }), 'no file of the plan'));
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const mask = require(path.join(__dirname, '..', '..', 'lib', 'data', 'mask.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'mask';
+
+describe('mask', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const contact = () => fixtures.record('Contact', 'C0', {
+        FirstName: 'Ada', Email: 'ada@example.org', Phone: null, Title: 'Engineer', AccountId: '@A0', Department: 'R&D'
+    });
+
+    it('masks the same value the same way for a seed and differently for another', () => {
+        const file = fixtures.writeJson(path.join(dir, 'mask.json'), { Contact: { FirstName: 'firstName', Email: 'email', '*': 'redact', Department: 'keep' } });
+        const masked = (seed) => mask.applyMask(mask.loadMask(file, seed), contact(), false);
+        const first = masked('one');
+        assert.deepStrictEqual(masked('one'), first);
+        assert.notStrictEqual(masked('two').Email, first.Email);
+        assert.match(first.Email, /^user\.[0-9a-f]{12}@example\.com$/);
+        assert.notStrictEqual(first.FirstName, 'Ada');
+        assert.strictEqual(first.Title, null);
+        assert.strictEqual(first.Phone, null);
+        assert.strictEqual(first.AccountId, '@A0');
+        assert.strictEqual(first.Department, 'R&D');
+        assert.deepStrictEqual(first.attributes, contact().attributes);
+    });
+
+    it('masks the records of a split and reports the values masked per field', () => {
+        fixtures.writeJson(path.join(dir, 'Contact.json'), { records: [contact(), fixtures.record('Contact', 'C1', { Email: 'bob@example.org' })] });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Contact', saveRefs: false, resolveRefs: false, files: ['Contact.json'] }]);
+        const file = fixtures.writeJson(path.join(dir, 'mask.json'), { Contact: { Email: 'email' } });
+        return new Data().split({ dataplan, mask: file, seed: 's' }).then((report) => {
+            assert.deepStrictEqual(report.masked, [{ sobject: 'Contact', field: 'Email', rule: 'email', count: 2 }]);
+            const records = fixtures.readJson(dataplan)[0].files.map((f) => fixtures.readJson(path.join(dir, f)).records)
+                .reduce((all, some) => all.concat(some), []);
+            assert.ok(records.every((r) => /@example\.com$/.test(r.Email)));
+        });
+    });
+
+    it('refuses unknown rules and rules for attributes', () => {
+        const refuses = (spec) => assert.throws(() => mask.loadMask(fixtures.writeJson(path.join(dir, 'mask.json'), spec), 's'), { name: 'InvalidFlagValue' });
+        refuses({ Contact: { Email: 'scramble' } });
+        refuses({ Contact: { attributes: 'redact' } });
+        refuses({ Contact: 'redact' });
+    });
+
+    it('needs a --seed for the rules that keep a hash of the value', () => {
+        const file = fixtures.writeJson(path.join(dir, 'mask.json'), { Contact: { Email: 'email', Title: 'hash', FirstName: 'firstName' } });
+        assert.throws(() => mask.loadMask(file), (err) => err.name === 'InvalidFlagValue' && /Contact\.Email, Contact\.Title/.test(err.message));
+        assert.throws(() => mask.loadMask(file, ''), { name: 'InvalidFlagValue' });
+        const names = fixtures.writeJson(path.join(dir, 'names.json'), { Contact: { FirstName: 'firstName', '*': 'redact' } });
+        assert.doesNotThrow(() => mask.loadMask(names));
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'merge';
+
+describe('data:merge', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('merges split chunks back into the file they were split from', () => {
+        const source = fixtures.writeJson(path.join(dir, 'in', 'Account.json'), { records: fixtures.accounts(450, (i) => ({ Industry: i % 2 ? 'Energy' : 'Retail' })) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'in', 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const data = new Data();
+        return data.split({ dataplan, outputdir: path.join(dir, 'split') })
+            .then(() => data.merge({ dataplan: path.join(dir, 'split', 'plan.json'), outputdir: path.join(dir, 'merged') }))
+            .then(() => {
+                assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'merged', 'plan.json'))[0].files, ['Account.json']);
+                assert.strictEqual(fs.readFileSync(path.join(dir, 'merged', 'Account.json'), 'utf8'), fs.readFileSync(source, 'utf8'));
+            });
+    });
+
+    it('restores the source order of records the split had to reorder', () => {
+        // Every second account uses the one after it, so the split moves producers ahead of their consumers
+        const source = fixtures.writeJson(path.join(dir, 'in', 'Account.json'), {
+            records: fixtures.accounts(450, (i) => (i % 2 === 1 ? { ParentId: `@A${i + 1 < 450 ? i + 1 : 0}` } : { Industry: 'Energy' }))
+        });
+        const dataplan = fixtures.writeJson(path.join(dir, 'in', 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const data = new Data();
+        return data.split({ dataplan, outputdir: path.join(dir, 'split') })
+            .then((report) => {
+                assert.ok(report.files.length > 2);
+                return data.merge({ dataplan: report.plan, outputdir: path.join(dir, 'merged') });
+            })
+            .then((result) => {
+                const merged = path.join(path.dirname(result.plan), result.files[0].file);
+                assert.strictEqual(fs.readFileSync(merged, 'utf8'), fs.readFileSync(source, 'utf8'));
+            });
+    });
+
+    it('names the merged file after the sObject when the files do not come from one split', () => {
+        fixtures.writeJson(path.join(dir, 'first.json'), { records: fixtures.accounts(2) });
+        fixtures.writeJson(path.join(dir, 'second.json'), { records: [fixtures.record('Account', 'B0', { Name: 'B' })] });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['first.json', 'second.json'] }]);
+        return new Data().merge({ dataplan }).then(() => {
+            assert.deepStrictEqual(fixtures.readJson(dataplan)[0].files, ['Account.json']);
+            assert.deepStrictEqual(fixtures.referenceIdsOf(path.join(dir, 'Account.json')), ['A0', 'A1', 'B0']);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'nesting';
+
+describe('data:flatten and data:nest', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const writePlan = (records) => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records });
+        return fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+    };
+
+    const withContacts = (count) => fixtures.accounts(count, (i) => ({
+        Contacts: { records: [0, 1].map((j) => fixtures.record('Contact', `C${i}_${j}`, { LastName: `Contact ${j}` })) }
+    }));
+
+    it('moves nested child records into a file of their own linked by @ref', () => {
+        const dataplan = writePlan(withContacts(2));
+        const relationships = fixtures.writeJson(path.join(dir, 'relationships.json'), { Account: { Contacts: 'Contact.AccountId' } });
+        return new Data().flatten({ dataplan, relationships }).then((result) => {
+            assert.deepStrictEqual(fixtures.readJson(dataplan), [
+                { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] },
+                { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Account-Contact.json'] }
+            ]);
+            assert.deepStrictEqual(result.files.map((f) => [f.file, f.sobject, f.records, f.action]), [
+                ['Account.json', 'Account', 2, 'write'], ['Account-Contact.json', 'Contact', 4, 'write']
+            ]);
+            assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'Account.json')).records, fixtures.accounts(2));
+            assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'Account-Contact.json')).records.map((r) => [r.attributes.referenceId, r.AccountId]), [
+                ['C0_0', '@A0'], ['C0_1', '@A0'], ['C1_0', '@A1'], ['C1_1', '@A1']
+            ]);
+        });
+    });
+
+    it('nests flattened child records back under their parents', () => {
+        const source = path.join(dir, 'Account.json');
+        const dataplan = writePlan(withContacts(3));
+        const relationships = fixtures.writeJson(path.join(dir, 'relationships.json'), { Account: { Contacts: 'Contact.AccountId' } });
+        const data = new Data();
+        return data.flatten({ dataplan, relationships, outputdir: path.join(dir, 'flat') })
+            .then((result) => {
+                assert.deepStrictEqual(result.entries.map((entry) => entry.sobject), ['Account', 'Contact']);
+                return data.nest({ dataplan: result.plan, relationships, outputdir: path.join(dir, 'nested') });
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result.entries.map((entry) => entry.sobject), ['Account']);
+                assert.deepStrictEqual(result.files.map((f) => [f.file, f.action]), [['Account.json', 'write'], ['Account-Contact.json', 'omit']]);
+                assert.ok(fs.existsSync(path.join(dir, 'flat', 'Account-Contact.json')));
+                assert.ok(!fs.existsSync(path.join(dir, 'nested', 'Account-Contact.json')));
+                const nested = path.join(path.dirname(result.plan), 'Account.json');
+                assert.strictEqual(fs.readFileSync(nested, 'utf8'), fs.readFileSync(source, 'utf8'));
+            });
+    });
+
+    it('refuses to flatten a parent without a referenceId', () => {
+        const dataplan = writePlan([{ attributes: { type: 'Account' }, Contacts: { records: [fixtures.record('Contact', 'C0')] } }]);
+        const relationships = fixtures.writeJson(path.join(dir, 'relationships.json'), { Account: { Contacts: 'Contact.AccountId' } });
+        return assert.rejects(new Data().flatten({ dataplan, relationships }), { name: 'InvalidDataImport' });
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'outputdir';
+
+describe('data:split --outputdir', () => {
+    let dir;
+    let dataplan;
+    let source;
+
+    beforeEach(() => {
+        dir = fixtures.workdir(NAME);
+        source = fixtures.writeJson(path.join(dir, 'in', 'Account.json'), { records: fixtures.accounts(5) });
+        fixtures.writeJson(path.join(dir, 'in', 'Contact.json'), { records: [fixtures.record('Contact', 'C0', { LastName: 'Smith' })] });
+        dataplan = fixtures.writeJson(path.join(dir, 'in', 'plan.json'), [
+            { sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] },
+            { sobject: 'Contact', saveRefs: false, resolveRefs: false, files: ['Contact.json'] }
+        ]);
+    });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('writes the chunks, the unsplit files and the plan to the output directory only', () => {
+        const before = fs.readFileSync(dataplan, 'utf8');
+        const outputdir = path.join(dir, 'out');
+        return new Data().split({ dataplan, chunksize: 2, outputdir }).then(() => {
+            assert.strictEqual(fs.readFileSync(dataplan, 'utf8'), before);
+            assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'in')).sort(), ['Account.json', 'Contact.json', 'plan.json']);
+            const plan = fixtures.readJson(path.join(outputdir, 'plan.json'));
+            assert.deepStrictEqual(plan.map((p) => p.files), [['Account0.json', 'Account2.json', 'Account4.json'], ['Contact.json']]);
+            assert.deepStrictEqual(fixtures.readJson(path.join(outputdir, 'Contact.json')), fixtures.readJson(path.join(dir, 'in', 'Contact.json')));
+        });
+    });
+
+    it('refuses to write over files in the output directory unless forced', () => {
+        const outputdir = path.join(dir, 'out');
+        fixtures.writeJson(path.join(outputdir, 'Account0.json'), { records: [] });
+        return assert.rejects(new Data().split({ dataplan, chunksize: 2, outputdir }), { name: 'InvalidOutputDirectory' })
+            .then(() => {
+                assert.deepStrictEqual(fixtures.readJson(path.join(outputdir, 'Account0.json')), { records: [] });
+                return new Data().split({ dataplan, chunksize: 2, outputdir, force: true });
+            })
+            .then(() => assert.deepStrictEqual(fixtures.referenceIdsOf(path.join(outputdir, 'Account0.json')), ['A0', 'A1']));
+    });
+
+    it('refuses an output directory where the split would write over its inputs, even when forced', () => {
+        return assert.rejects(new Data().split({ dataplan, outputdir: path.join(dir, 'in'), force: true }), { name: 'InvalidOutputDirectory' })
+            .then(() => assert.deepStrictEqual(fixtures.referenceIdsOf(source), ['A0', 'A1', 'A2', 'A3', 'A4']));
+    });
+});
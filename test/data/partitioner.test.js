@@ -0,0 +1,56 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'partitioner';
+
+describe('data:partition', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('puts each sObject of a mixed file in a file of its own and orders the plan by refs', () => {
+        fixtures.writeJson(path.join(dir, 'Mixed.json'), {
+            records: [
+                fixtures.record('Contact', 'C0', { AccountId: '@A0' }),
+                fixtures.record('Account', 'A0'),
+                fixtures.record('Contact', 'C1', { AccountId: '@A0' })
+            ]
+        });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Mixed', saveRefs: false, resolveRefs: false, files: ['Mixed.json'] }]);
+        return new Data().partition({ dataplan }).then((result) => {
+            assert.deepStrictEqual(result.partitioned.map((p) => [p.file, p.sobject, p.records]), [['Mixed-Contact.json', 'Contact', 2], ['Mixed-Account.json', 'Account', 1]]);
+            assert.deepStrictEqual(fixtures.readJson(dataplan), [
+                { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Mixed-Account.json'] },
+                { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Mixed-Contact.json'] }
+            ]);
+            assert.deepStrictEqual(fixtures.referenceIdsOf(path.join(dir, 'Mixed-Contact.json')), ['C0', 'C1']);
+            assert.deepStrictEqual(fixtures.referenceIdsOf(path.join(dir, 'Mixed-Account.json')), ['A0']);
+        });
+    });
+
+    it('leaves a plan without mixed files alone', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(2) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const before = fs.readFileSync(dataplan, 'utf8');
+        return new Data().partition({ dataplan }).then((result) => {
+            assert.deepStrictEqual(result.partitioned, []);
+            assert.strictEqual(fs.readFileSync(dataplan, 'utf8'), before);
+            assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['Account.json', 'plan.json']);
+        });
+    });
+
+    it('refuses a record without an attributes.type', () => {
+        fixtures.writeJson(path.join(dir, 'Mixed.json'), { records: [fixtures.record('Account', 'A0'), { attributes: { referenceId: 'X1' } }] });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Mixed', saveRefs: false, resolveRefs: false, files: ['Mixed.json'] }]);
+        return assert.rejects(new Data().partition({ dataplan }), (err) => err.name === 'InvalidDataImport' && /X1/.test(err.message));
+    });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'planBuilder';
+
+describe('data:plan', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('orders the files so producers come first and sets the ref flags', () => {
+        fixtures.writeJson(path.join(dir, 'a-contacts.json'), { records: [fixtures.record('Contact', 'C0', { AccountId: '@A0' })] });
+        fixtures.writeJson(path.join(dir, 'b-accounts.json'), { records: fixtures.accounts(2, (i) => (i === 1 ? { ParentId: '@A0' } : {})) });
+        fixtures.writeJson(path.join(dir, 'c-cases.json'), { records: [fixtures.record('Case', 'K0', { Subject: 'Help' })] });
+        fs.writeFileSync(path.join(dir, 'notes.json'), '{"title": "not a tree file"}');
+        return new Data().plan({ directory: dir }).then((result) => {
+            assert.deepStrictEqual(result.entries, [
+                { sobject: 'Account', saveRefs: true, resolveRefs: true, files: ['b-accounts.json'] },
+                { sobject: 'Case', saveRefs: false, resolveRefs: false, files: ['c-cases.json'] },
+                { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['a-contacts.json'] }
+            ]);
+            assert.deepStrictEqual(result.skipped, ['notes.json']);
+            assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'data-plan.json')), result.entries);
+        });
+    });
+
+    it('refuses refs no file defines, files that use each other and an existing plan without --force', () => {
+        fixtures.writeJson(path.join(dir, 'accounts.json'), { records: [fixtures.record('Account', 'A0', { OwnerId: '@U0' })] });
+        return assert.rejects(new Data().plan({ directory: dir }), { name: 'InvalidDataImport' })
+            .then(() => {
+                fixtures.writeJson(path.join(dir, 'users.json'), { records: [fixtures.record('User', 'U0', { ManagerId: '@A0' })] });
+                return assert.rejects(new Data().plan({ directory: dir }), /accounts\.json|users\.json/);
+            })
+            .then(() => {
+                fixtures.writeJson(path.join(dir, 'users.json'), { records: [fixtures.record('User', 'U0')] });
+                fs.writeFileSync(path.join(dir, 'data-plan.json'), '[]');
+                return assert.rejects(new Data().plan({ directory: dir }), { name: 'InvalidOutputDirectory' });
+            })
+            .then(() => new Data().plan({ directory: dir, force: true }))
+            .then((result) => assert.deepStrictEqual(result.entries.map((p) => p.sobject), ['User', 'Account']));
+    });
+});
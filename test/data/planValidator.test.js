@@ -0,0 +1,65 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const planValidator = require(path.join(__dirname, '..', '..', 'lib', 'data', 'planValidator.js'));
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'planValidator';
+
+describe('data:validate', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('passes a plan whose refs are all saved by earlier entries', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(2) });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), { records: [fixtures.record('Contact', 'C0', { AccountId: '@A1' })] });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [
+            { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] },
+            { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+        ]);
+        return planValidator.validatePlan(dataplan).then((result) => {
+            assert.deepStrictEqual(result.problems, []);
+            assert.deepStrictEqual([result.entries, result.files, result.records], [2, 2, 3]);
+        });
+    });
+
+    it('finds broken entries, missing files, duplicate referenceIds and refs nothing saves', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(2).concat([fixtures.record('Account', 'A1')]) });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), { records: [fixtures.record('Contact', 'C0', { AccountId: '@A0', ReportsToId: '@C9' })] });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [
+            { sobject: 'Account', saveRefs: true, resolveRefs: 'yes', files: ['Account.json', 'Missing.json'] },
+            { sobject: 'Contact', files: ['Contact.json'] },
+            { files: [] }
+        ]);
+        return planValidator.validatePlan(dataplan).then((result) => {
+            assert.deepStrictEqual(result.problems.map((p) => [path.basename(p.file), p.record]), [
+                ['plan.json', undefined],
+                ['Account.json', 'A1'],
+                ['Missing.json', undefined],
+                ['Contact.json', 'C0'],
+                ['Contact.json', 'C0'],
+                ['plan.json', undefined],
+                ['plan.json', undefined]
+            ]);
+            assert.match(result.problems[4].problem, /@C9/);
+        });
+    });
+
+    it('rejects listing the problems and reports a plan that is not JSON', () => {
+        const dataplan = path.join(dir, 'plan.json');
+        fs.writeFileSync(dataplan, '[{');
+        return assert.rejects(new Data().validate({ dataplan }), (err) => {
+            assert.strictEqual(err.name, 'InvalidDataPlan');
+            assert.strictEqual(err.problems.length, 1);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'queryConverter';
+
+const ACCOUNT_ID = '001000000000001AAA';
+const OTHER_ACCOUNT_ID = '001000000000002AAA';
+const OWNER_ID = '005000000000001AAA';
+
+describe('data:convert', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const queried = (type, fields) => Object.assign({ attributes: { type, url: `/services/data/v41.0/sobjects/${type}/x` } }, fields);
+
+    it('turns query output into linked tree files and a plan', () => {
+        // The output of force:data:soql:query --json, with a subquery and a parent relationship
+        const accounts = fixtures.writeJson(path.join(dir, 'accounts.json'), {
+            status: 0,
+            result: {
+                totalSize: 1,
+                done: true,
+                records: [queried('Account', {
+                    Id: ACCOUNT_ID, Name: 'Acme', OwnerId: OWNER_ID, CreatedDate: '2017-01-01T00:00:00.000+0000',
+                    Owner: queried('User', { Name: 'Someone' }),
+                    Cases: { totalSize: 1, done: true, records: [queried('Case', { Id: '500000000000001AAA', AccountId: ACCOUNT_ID, Subject: 'Help' })] }
+                })]
+            }
+        });
+        const contacts = fixtures.writeJson(path.join(dir, 'contacts.json'), {
+            totalSize: 2,
+            done: true,
+            records: [
+                queried('Contact', { Id: '003000000000001AAA', LastName: 'One', AccountId: ACCOUNT_ID.slice(0, 15) }),
+                queried('Contact', { Id: '003000000000002AAA', LastName: 'Two', AccountId: OTHER_ACCOUNT_ID })
+            ]
+        });
+        const outputdir = path.join(dir, 'tree');
+        return new Data().convert({ queryfiles: `${contacts},${accounts}`, outputdir }).then((result) => {
+            assert.deepStrictEqual(result.files.map((f) => [f.file, f.sobject, f.records, f.linked, f.kept]), [
+                ['Contact.json', 'Contact', 2, 1, 1], ['Account.json', 'Account', 2, 0, 1]
+            ]);
+            assert.deepStrictEqual(fixtures.readJson(path.join(outputdir, 'data-plan.json')), [
+                { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] },
+                { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+            ]);
+            assert.deepStrictEqual(fixtures.readJson(path.join(outputdir, 'Account.json')), {
+                records: [{
+                    attributes: { type: 'Account', referenceId: 'AccountRef1' },
+                    Name: 'Acme',
+                    OwnerId: OWNER_ID,
+                    Cases: { records: [{ attributes: { type: 'Case', referenceId: 'CaseRef1' }, Subject: 'Help' }] }
+                }]
+            });
+            assert.deepStrictEqual(fixtures.readJson(path.join(outputdir, 'Contact.json')).records.map((r) => [r.attributes.referenceId, r.AccountId]), [
+                ['ContactRef1', '@AccountRef1'], ['ContactRef2', OTHER_ACCOUNT_ID]
+            ]);
+        });
+    });
+
+    it('refuses a file whose records are not of one sObject', () => {
+        const mixed = fixtures.writeJson(path.join(dir, 'mixed.json'), { records: [queried('Account', { Name: 'A' }), queried('Contact', { LastName: 'C' })] });
+        return assert.rejects(new Data().convert({ queryfiles: mixed, outputdir: path.join(dir, 'tree') }), (err) => err.name === 'InvalidDataImport' && /Account, Contact/.test(err.message));
+    });
+});
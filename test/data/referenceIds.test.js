@@ -0,0 +1,70 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'referenceIds';
+
+describe('data:split --referenceids', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    // Two files of the plan produce A1, and the contact's ref names the one saved last
+    const writePlan = () => {
+        fixtures.writeJson(path.join(dir, 'Old.json'), { records: [fixtures.record('Account', 'A1', { Name: 'old' })] });
+        fixtures.writeJson(path.join(dir, 'New.json'), { records: [fixtures.record('Account', 'A1', { Name: 'new' })] });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), { records: [fixtures.record('Contact', 'C1', { AccountId: '@A1' })] });
+        return fixtures.writeJson(path.join(dir, 'plan.json'), [
+            { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Old.json', 'New.json'] },
+            { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+        ]);
+    };
+
+    const recordsOf = (dataplan) => fixtures.readJson(dataplan)
+        .map((p) => p.files.map((f) => fixtures.readJson(path.join(dir, f)).records).reduce((all, some) => all.concat(some), []));
+
+    it('reports referenceIds that more than one record uses without renaming them', () => {
+        const dataplan = writePlan();
+        return new Data().split({ dataplan }).then((report) => {
+            assert.deepStrictEqual(report.collisions, [{ referenceId: 'A1', sources: 'Old.json, New.json' }]);
+            assert.deepStrictEqual(recordsOf(dataplan)[0].map((r) => r.attributes.referenceId), ['A1', 'A1']);
+        });
+    });
+
+    it('refuses referenceIds the new names cannot tell apart', () => {
+        const dataplan = writePlan();
+        fixtures.writeJson(path.join(dir, 'Old.json'), { records: [fixtures.record('Account', 'A1'), fixtures.record('Account', 'A1')] });
+        return assert.rejects(new Data().split({ dataplan, referenceids: 'prefix' }), (err) => err.name === 'InvalidDataImport' && /Old_A1/.test(err.message));
+    });
+
+    it('renames the referenceIds of each file after the file with prefix', () => {
+        const dataplan = writePlan();
+        return new Data().split({ dataplan, referenceids: 'prefix' }).then((report) => {
+            assert.deepStrictEqual(report.collisions, [{ referenceId: 'A1', sources: 'Old.json, New.json' }]);
+            const [accounts, contacts] = recordsOf(dataplan);
+            assert.deepStrictEqual(accounts.map((r) => [r.attributes.referenceId, r.Name]), [['Old_A1', 'old'], ['New_A1', 'new']]);
+            assert.deepStrictEqual(contacts.map((r) => [r.attributes.referenceId, r.AccountId]), [['Contact_C1', '@New_A1']]);
+        });
+    });
+
+    it('numbers the referenceIds of each sObject with sequential', () => {
+        const dataplan = writePlan();
+        return new Data().split({ dataplan, referenceids: 'sequential' }).then(() => {
+            const [accounts, contacts] = recordsOf(dataplan);
+            assert.deepStrictEqual(accounts.map((r) => r.attributes.referenceId), ['AccountRef1', 'AccountRef2']);
+            assert.deepStrictEqual(contacts.map((r) => [r.attributes.referenceId, r.AccountId]), [['ContactRef1', '@AccountRef2']]);
+        });
+    });
+
+    it('refuses an unknown scheme', () => {
+        const dataplan = writePlan();
+        return assert.rejects(new Data().split({ dataplan, referenceids: 'random' }), { name: 'InvalidFlagValue' });
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const references = require(path.join(__dirname, '..', '..', 'lib', 'data', 'references.js'));
+const { record } = require(path.join(__dirname, 'fixtures.js'));
+
+// Private helper functions
+const _order = (nodes) => nodes.map((node) => node.referenceIds[0]);
+
+describe('references', () => {
+    it('finds the referenceIds a record and its nested children produce and consume', () => {
+        const account = record('Account', 'A1', {
+            ParentId: '@A0',
+            Contacts: { records: [record('Contact', 'C1', { ReportsToId: '@C0', Email: 'a@b.c' })] }
+        });
+        assert.deepStrictEqual(references.getReferenceIds(account), ['A1', 'C1']);
+        assert.deepStrictEqual(references.getConsumedRefs(account), ['A0', 'C0']);
+        assert.strictEqual(references.isRef('@'), false);
+    });
+
+    it('orders producers ahead of their consumers', () => {
+        const nodes = references.buildGraph([
+            record('Account', 'A0', { ParentId: '@A2' }),
+            record('Account', 'A1'),
+            record('Account', 'A2', { ParentId: '@A3' }),
+            record('Account', 'A3')
+        ]);
+        assert.deepStrictEqual(nodes[0].producers, [2]);
+        const sorted = _order(references.sortGraph(nodes));
+        assert.ok(sorted.indexOf('A3') < sorted.indexOf('A2'));
+        assert.ok(sorted.indexOf('A2') < sorted.indexOf('A0'));
+    });
+
+    it('orders a chain of records too long to follow recursively', () => {
+        const count = 100000;
+        const records = [];
+        for (let i = 0; i < count; i++) {
+            records.push(record('Account', `A${i}`, i + 1 < count ? { ParentId: `@A${i + 1}` } : {}));
+        }
+        const sorted = _order(references.sortGraph(references.buildGraph(records)));
+        assert.strictEqual(sorted[0], `A${count - 1}`);
+        assert.strictEqual(sorted[count - 1], 'A0');
+    });
+
+    it('keeps a producer out of the chunk of its consumers', () => {
+        const nodes = references.buildGraph([
+            record('Account', 'A0'),
+            record('Account', 'A1', { ParentId: '@A0' }),
+            record('Account', 'A2')
+        ]);
+        const chunks = references.chunkGraph(references.sortGraph(nodes), { chunkSize: 200 });
+        assert.strictEqual(chunks.length, 2);
+        chunks.forEach((chunk) => {
+            const ids = _order(chunk);
+            assert.ok(!(ids.includes('A0') && ids.includes('A1')));
+        });
+    });
+
+    it('refuses records that reference each other in a cycle', () => {
+        const nodes = references.buildGraph([
+            record('Account', 'A0', { ParentId: '@A1' }),
+            record('Account', 'A1', { ParentId: '@A0' })
+        ]);
+        assert.throws(() => references.sortGraph(nodes), /A0|A1/);
+    });
+});
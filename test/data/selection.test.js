@@ -0,0 +1,66 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'selection';
+
+describe('data:split --filter and --sample', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const writePlan = () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(4, (i) => ({ Industry: i % 2 ? 'Energy' : 'Retail' })) });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), {
+            records: [0, 1, 2, 3].map((i) => fixtures.record('Contact', `C${i}`, { AccountId: `@A${i}` }))
+        });
+        return fixtures.writeJson(path.join(dir, 'plan.json'), [
+            { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] },
+            { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+        ]);
+    };
+
+    const idsOf = (dataplan) => fixtures.readJson(dataplan)
+        .map((p) => p.files.map((f) => fixtures.referenceIdsOf(path.join(dir, f))).reduce((all, ids) => all.concat(ids), []));
+
+    it('keeps the records that meet the filter and drops the records that use the others', () => {
+        const dataplan = writePlan();
+        const filter = fixtures.writeJson(path.join(dir, 'filter.json'), { Account: { Industry: { equals: 'Energy' } } });
+        return new Data().split({ dataplan, filter }).then((report) => {
+            assert.deepStrictEqual(idsOf(dataplan), [['A1', 'A3'], ['C1', 'C3']]);
+            assert.deepStrictEqual(report.selected.map((s) => [s.sobject, s.records, s.filtered, s.sampled, s.dependents, s.kept]), [
+                ['Account', 4, 2, 0, 0, 2], ['Contact', 4, 0, 0, 2, 2]
+            ]);
+        });
+    });
+
+    it('samples the same records for the same --seed', () => {
+        const dataplan = writePlan();
+        const sampled = (seed) => {
+            writePlan();
+            return new Data().split({ dataplan, sample: '50%', seed }).then(() => idsOf(dataplan));
+        };
+        return sampled('one').then((first) => {
+            // Half the accounts, then half the contacts of the accounts kept
+            assert.strictEqual(first[0].length, 2);
+            assert.strictEqual(first[1].length, 1);
+            assert.ok(first[0].includes(first[1][0].replace('C', 'A')));
+            return sampled('one').then((second) => assert.deepStrictEqual(second, first));
+        });
+    });
+
+    it('refuses a filter without a known operator and a sample that is not a count or percentage', () => {
+        const dataplan = writePlan();
+        const filter = fixtures.writeJson(path.join(dir, 'filter.json'), { Account: { Industry: { like: 'En%' } } });
+        return assert.rejects(new Data().split({ dataplan, filter }), { name: 'InvalidFlagValue' })
+            .then(() => assert.rejects(new Data().split({ dataplan, sample: '150%' }), { name: 'InvalidFlagValue' }))
+            .then(() => assert.rejects(new Data().split({ dataplan, sample: '2.5' }), { name: 'InvalidFlagValue' }));
+    });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'split';
+
+describe('data:split', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('splits a file so every chunk comes after the chunks it uses and updates the ref flags', () => {
+        // The first account uses the last one, which has to move to an earlier chunk
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(250, (i) => (i === 0 ? { ParentId: '@A249' } : {})) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        return new Data().split({ dataplan }).then(() => {
+            const plan = fixtures.readJson(dataplan);
+            assert.ok(plan[0].files.length > 1);
+            assert.strictEqual(plan[0].saveRefs, true);
+            assert.strictEqual(plan[0].resolveRefs, true);
+            const chunks = plan[0].files.map((f) => fixtures.referenceIdsOf(path.join(dir, f)));
+            assert.ok(chunks.every((ids) => ids.length <= 200));
+            assert.strictEqual(chunks.reduce((count, ids) => count + ids.length, 0), 250);
+            const chunkOf = (id) => chunks.findIndex((ids) => ids.includes(id));
+            assert.ok(chunkOf('A249') < chunkOf('A0'));
+        });
+    });
+
+    it('puts no more than --chunksize records in a file', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(25) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        return new Data().split({ dataplan, chunksize: 10 }).then(() => {
+            const plan = fixtures.readJson(dataplan);
+            assert.deepStrictEqual(plan[0].files, ['Account0.json', 'Account10.json', 'Account20.json']);
+            assert.deepStrictEqual(plan[0].files.map((f) => fixtures.referenceIdsOf(path.join(dir, f)).length), [10, 10, 5]);
+        });
+    });
+
+    it('cuts a file before it grows past --maxbytes', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(20, () => ({ Description: 'x'.repeat(1000) })) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        return new Data().split({ dataplan, maxbytes: 5000 }).then(() => {
+            const plan = fixtures.readJson(dataplan);
+            assert.ok(plan[0].files.length > 1);
+            plan[0].files.forEach((f) => assert.ok(fs.statSync(path.join(dir, f)).size <= 5000, f));
+        });
+    });
+
+    it('counts nested child records toward --chunksize and keeps each tree in one file', () => {
+        const records = fixtures.accounts(6, (i) => ({
+            Contacts: { records: [0, 1].map((j) => fixtures.record('Contact', `C${i}_${j}`, { LastName: `Contact ${j}` })) }
+        }));
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        return new Data().split({ dataplan, chunksize: 7 }).then((report) => {
+            const plan = fixtures.readJson(dataplan);
+            assert.deepStrictEqual(plan[0].files.map((f) => fixtures.referenceIdsOf(path.join(dir, f)).length), [2, 2, 2]);
+            assert.deepStrictEqual(report.files.map((f) => f.records), [6, 6, 6]);
+            assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'Account0.json')).records, records.slice(0, 2));
+        });
+    });
+
+    it('refuses a record whose tree alone is over --chunksize', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), {
+            records: fixtures.accounts(1, () => ({ Contacts: { records: [fixtures.record('Contact', 'C0'), fixtures.record('Contact', 'C1')] } }))
+        });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        return assert.rejects(new Data().split({ dataplan, chunksize: 2 }), (err) => {
+            assert.strictEqual(err.name, 'InvalidDataImport');
+            assert.match(err.message, /A0/);
+            assert.ok(err.action);
+            return true;
+        });
+    });
+
+    it('splits tree files given with --sobjecttreefiles into a plan of their own', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(3) });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), { records: [fixtures.record('Contact', 'C0', { AccountId: '@A2' })] });
+        const sobjecttreefiles = [path.join(dir, 'Account.json'), path.join(dir, 'Contact.json')].join(',');
+        return new Data().split({ sobjecttreefiles, chunksize: 2 }).then((report) => {
+            // New entries start out without refs, so only the flags a split turns on count as changes
+            assert.deepStrictEqual(report.entries.map((e) => e.changes), [['files', 'saveRefs'], ['files', 'resolveRefs']]);
+            assert.deepStrictEqual(fixtures.readJson(path.join(dir, 'Account-plan.json')), [
+                { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account0.json', 'Account2.json'] },
+                { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact.json'] }
+            ]);
+        });
+    });
+
+    it('adds tree files to the plan given with --plan and leaves its other files whole', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(3) });
+        fixtures.writeJson(path.join(dir, 'Contact.json'), { records: [0, 1, 2].map((i) => fixtures.record('Contact', `C${i}`, { AccountId: `@A${i}` })) });
+        const plan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] }]);
+        return new Data().split({ sobjecttreefiles: path.join(dir, 'Contact.json'), plan, chunksize: 2 }).then(() => {
+            assert.deepStrictEqual(fixtures.readJson(plan), [
+                { sobject: 'Account', saveRefs: true, resolveRefs: false, files: ['Account.json'] },
+                { sobject: 'Contact', saveRefs: false, resolveRefs: true, files: ['Contact0.json', 'Contact2.json'] }
+            ]);
+            assert.deepStrictEqual(fixtures.referenceIdsOf(path.join(dir, 'Account.json')), ['A0', 'A1', 'A2']);
+        });
+    });
+
+    it('needs exactly one of --dataplan and --sobjecttreefiles', () => {
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), []);
+        return assert.rejects(new Data().split({}), { name: 'InvalidFlagValue' })
+            .then(() => assert.rejects(new Data().split({ dataplan, sobjecttreefiles: 'Account.json' }), { name: 'InvalidFlagValue' }))
+            .then(() => assert.rejects(new Data().split({ dataplan, plan: dataplan }), { name: 'InvalidFlagValue' }));
+    });
+
+    it('reports what a --dryrun split would do without writing anything', () => {
+        const source = fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(5, (i) => (i === 0 ? { ParentId: '@A4' } : {})) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const before = [fs.readFileSync(dataplan, 'utf8'), fs.readFileSync(source, 'utf8')];
+        return new Data().split({ dataplan, chunksize: 3, dryrun: true }).then((report) => {
+            assert.strictEqual(report.dryrun, true);
+            assert.deepStrictEqual(report.entries.map((e) => [e.sobject, e.records, e.changes]), [['Account', 5, ['files', 'saveRefs', 'resolveRefs']]]);
+            assert.ok(report.files.length > 1);
+            report.files.forEach((f) => assert.deepStrictEqual([f.source, f.action], ['Account.json', 'write']));
+            assert.strictEqual(report.files.reduce((count, f) => count + f.records, 0), 5);
+            assert.deepStrictEqual([fs.readFileSync(dataplan, 'utf8'), fs.readFileSync(source, 'utf8')], before);
+            assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['Account.json', 'plan.json']);
+        });
+    });
+
+    it('keeps the chunks of an unchanged source and resplits a changed one on a rerun', () => {
+        const records = fixtures.accounts(25);
+        const source = fixtures.writeJson(path.join(dir, 'Account.json'), { records });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const split = () => new Data().split({ dataplan, chunksize: 10 });
+        return split()
+            .then(() => split())
+            .then((report) => {
+                assert.deepStrictEqual(report.files.map((f) => [f.file, f.action]), [['Account0.json', 'keep'], ['Account10.json', 'keep'], ['Account20.json', 'keep']]);
+                fixtures.writeJson(source, { records: records.slice(0, 15) });
+                return split();
+            })
+            .then((report) => {
+                assert.deepStrictEqual(report.files.filter((f) => f.action === 'remove').map((f) => f.file), ['Account20.json']);
+                assert.deepStrictEqual(fixtures.readJson(dataplan)[0].files, ['Account0.json', 'Account10.json']);
+                assert.deepStrictEqual(fs.readdirSync(dir).filter((f) => f.startsWith('Account')).sort(), ['Account.json', 'Account0.json', 'Account10.json']);
+            });
+    });
+
+    it('refuses a chunk named like another file of the plan before writing anything', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(3) });
+        fixtures.writeJson(path.join(dir, 'Account2.json'), { records: [fixtures.record('Account', 'B0'), fixtures.record('Account', 'B1')] });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json', 'Account2.json'] }]);
+        const before = fs.readFileSync(path.join(dir, 'Account2.json'), 'utf8');
+        return assert.rejects(new Data().split({ dataplan, chunksize: 2 }), (err) => err.name === 'InvalidOutputDirectory' && /Account2\.json/.test(err.message))
+            .then(() => {
+                assert.strictEqual(fs.readFileSync(path.join(dir, 'Account2.json'), 'utf8'), before);
+                assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['Account.json', 'Account2.json', 'plan.json']);
+            });
+    });
+
+    it('names chunks after the whole name of a source with more than one dot', () => {
+        fixtures.writeJson(path.join(dir, 'Account.2017.json'), { records: fixtures.accounts(3) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.2017.json'] }]);
+        return new Data().split({ dataplan, chunksize: 2 }).then(() => {
+            assert.deepStrictEqual(fixtures.readJson(dataplan)[0].files, ['Account.20170.json', 'Account.20172.json']);
+        });
+    });
+
+    it('refuses a --chunksize over the limit and a record larger than --maxbytes', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(2, () => ({ Description: 'x'.repeat(1000) })) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        return assert.rejects(new Data().split({ dataplan, chunksize: String(Data.RECORD_LIMIT + 1) }), { name: 'InvalidFlagValue' })
+            .then(() => assert.rejects(new Data().split({ dataplan, maxbytes: 500 }), { name: 'InvalidDataImport' }));
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, after } = require('node:test');
+
+const Data = require(path.join(__dirname, '..', '..', 'lib', 'data', 'dataApi.js'));
+const transform = require(path.join(__dirname, '..', '..', 'lib', 'data', 'transform.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'transform';
+
+describe('transform', () => {
+    let dir;
+
+    beforeEach(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    it('drops, renames, defaults and sets fields of records and their nested children', () => {
+        const rules = transform.loadRules(fixtures.writeJson(path.join(dir, 'rules.json'), {
+            Account: { drop: ['Id'], rename: { Old__c: 'New__c' }, default: { Rating: 'Warm' }, set: { Source__c: 'Import' } },
+            Contact: { set: { Email: null } }
+        }));
+        const record = fixtures.record('Account', 'A0', {
+            Id: '001', Old__c: 'x', Rating: 'Hot',
+            Contacts: { records: [fixtures.record('Contact', 'C0', { Email: 'a@example.com' })] }
+        });
+        transform.applyRules(rules, record, true);
+        assert.deepStrictEqual(record, fixtures.record('Account', 'A0', {
+            Rating: 'Hot', New__c: 'x', Source__c: 'Import',
+            Contacts: { records: [fixtures.record('Contact', 'C0', { Email: null })] }
+        }));
+        assert.deepStrictEqual(rules.rules.map((r) => [r.sobject, r.rule, r.field, r.count]), [
+            ['Account', 'drop', 'Id', 1], ['Account', 'rename', 'Old__c', 1], ['Account', 'default', 'Rating', 0],
+            ['Account', 'set', 'Source__c', 1], ['Contact', 'set', 'Email', 1]
+        ]);
+    });
+
+    it('applies the rules of --transform while splitting and reports how often each fired', () => {
+        fixtures.writeJson(path.join(dir, 'Account.json'), { records: fixtures.accounts(5, (i) => (i < 2 ? { Rating: 'Hot' } : {})) });
+        const dataplan = fixtures.writeJson(path.join(dir, 'plan.json'), [{ sobject: 'Account', saveRefs: false, resolveRefs: false, files: ['Account.json'] }]);
+        const rules = fixtures.writeJson(path.join(dir, 'rules.json'), { Account: { default: { Rating: 'Cold' } } });
+        return new Data().split({ dataplan, chunksize: 3, transform: rules }).then((report) => {
+            assert.deepStrictEqual(report.rules, [{ sobject: 'Account', rule: 'default', field: 'Rating', value: 'Cold', count: 3 }]);
+            const ratings = fixtures.readJson(dataplan)[0].files.map((f) => fixtures.readJson(path.join(dir, f)).records.map((r) => r.Rating));
+            assert.deepStrictEqual(ratings.reduce((all, some) => all.concat(some), []).sort(), ['Cold', 'Cold', 'Cold', 'Hot', 'Hot']);
+        });
+    });
+
+    it('refuses a transform file with unknown rules or changes to attributes', () => {
+        const refuses = (spec) => assert.throws(() => transform.loadRules(fixtures.writeJson(path.join(dir, 'rules.json'), spec)), { name: 'InvalidFlagValue' });
+        refuses({ Account: { remove: ['Id'] } });
+        refuses({ Account: { set: { attributes: {} } } });
+        refuses({ Account: { rename: { Name: '' } } });
+        refuses([]);
+    });
+});
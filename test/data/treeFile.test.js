@@ -0,0 +1,78 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+
+const treeFile = require(path.join(__dirname, '..', '..', 'lib', 'data', 'treeFile.js'));
+const fixtures = require(path.join(__dirname, 'fixtures.js'));
+
+const NAME = 'treeFile';
+
+// The size of the chunks a file is read in, the default highWaterMark of fs.createReadStream
+const CHUNK_SIZE = 64 * 1024;
+
+// Private helper functions
+const _readAll = (filepath) => {
+    const records = [];
+    return treeFile.readRecords(filepath, (record, index) => { records[index] = record; })
+        .then((count) => {
+            assert.strictEqual(count, records.length);
+            return records;
+        });
+};
+
+describe('treeFile', () => {
+    let dir;
+
+    before(() => { dir = fixtures.workdir(NAME); });
+
+    after(() => fixtures.removeWorkdir(NAME));
+
+    const writeTree = (name, records) => fixtures.writeJson(path.join(dir, name), { records });
+
+    it('reads strings holding quotes, backslashes, brackets and a records key', () => {
+        const records = [
+            { attributes: { type: 'Account', referenceId: 'A1' }, Name: 'Say "hi" {to} [everyone]', Path__c: 'C:\\temp\\' },
+            { attributes: { type: 'Account', referenceId: 'A2' }, Name: '\\"}]},{', Note__c: 'records', Unicode__c: 'Zoë \u2603 \ud83d\ude00' },
+            {
+                attributes: { type: 'Account', referenceId: 'A3' },
+                Contacts: { records: [{ attributes: { type: 'Contact', referenceId: 'C1' }, LastName: '"records": [' }] }
+            }
+        ];
+        return _readAll(writeTree('escaped.json', records)).then((read) => assert.deepStrictEqual(read, records));
+    });
+
+    it('writes a file exactly as JSON.stringify does', () => {
+        const records = [
+            { attributes: { type: 'Account', referenceId: 'A1' }, Name: 'Line one\nline two', Tags__c: ['a', 'b'] },
+            { attributes: { type: 'Account', referenceId: 'A2' }, Contacts: { records: [{ attributes: { type: 'Contact', referenceId: 'C1' } }] } }
+        ];
+        const filepath = path.join(dir, 'written.json');
+        const writer = treeFile.createWriter(filepath);
+        return records.reduce((previous, record) => previous.then(() => writer.write(record)), Promise.resolve())
+            .then(() => writer.end())
+            .then(() => assert.strictEqual(fs.readFileSync(filepath, 'utf8'), JSON.stringify({ records }, null, 4)));
+    });
+
+    it('reads escapes and multi-byte characters split across chunk boundaries', () => {
+        const tricky = ['"', '\\', '"}', 'é', '\ud83d\ude00'];
+        const cases = [];
+        tricky.forEach((text) => {
+            for (let shift = -6; shift <= 0; shift++) {
+                cases.push({ text, shift });
+            }
+        });
+        return cases.reduce((previous, c, i) => previous.then(() => {
+            // The filler moves the tricky text of the second record across the end of the first chunk, a byte at a time
+            const second = { attributes: { type: 'Account', referenceId: 'A2' }, Name: `x${c.text}x` };
+            const first = { attributes: { type: 'Account', referenceId: 'A1' }, Name: '' };
+            const text = JSON.stringify({ records: [first, second] }, null, 4);
+            const at = Buffer.byteLength(text.slice(0, text.indexOf(`"x${JSON.stringify(c.text).slice(1, -1)}`)));
+            first.Name = 'f'.repeat(CHUNK_SIZE - at + c.shift);
+            const records = [first, second];
+            return _readAll(writeTree(`boundary${i}.json`, records)).then((read) => assert.deepStrictEqual(read, records));
+        }), Promise.resolve());
+    });
+});